@@ -0,0 +1,103 @@
+import fs from "fs";
+import path from "path";
+import inquirer from "inquirer";
+import chalk from "chalk";
+import { ConflictError, StepError, UsageError } from "./errors.js";
+import { FEATURES, addInstallSteps, applyFeature, createFeatureContext, detectFeature, featureNames, getFeature } from "./features/index.js";
+import { renderGeneratedFiles } from "./features/shared.js";
+import { Plan, executePlan, printFailureReport, printPlan } from "./plan.js";
+import { normalizeFlagAnswers } from "./cli.js";
+import { detectPackageManager, getPinnedVersion } from "./pm.js";
+import { Reporter, seconds } from "./reporter.js";
+import { checkCommands, checkPackageManager, checkWritable, getPackageManagerVersion } from "./preflight.js";
+import { detectWorkspace } from "./workspace.js";
+
+/**
+ * `create-sparkvite add <feature>`: applies one feature to the project in the
+ * current directory. Files are patched in place; anything that would overwrite
+ * the user's own changes aborts the command before a single file is written.
+ */
+export async function addFeature(options, reporter = new Reporter()) {
+    const projectPath = process.cwd();
+    const feature = getFeature(options.feature);
+    if (!feature) {
+        throw new UsageError(`Unknown feature "${options.feature}". Features: ${featureNames().join(", ")}`);
+    }
+
+    if (!fs.existsSync(path.join(projectPath, "package.json"))) {
+        throw new UsageError("No package.json found. Run `create-sparkvite add` from the root of your project.");
+    }
+
+    // Run from apps/web of a --workspace project, the lockfile is at the workspace root
+    const workspace = detectWorkspace(projectPath);
+    const packageManager = normalizeFlagAnswers(options).packageManager ?? detectPackageManager(workspace?.root ?? projectPath);
+    // The one pinned in package.json, which Corepack runs, over whatever is installed
+    const packageManagerVersion = getPinnedVersion(workspace?.root ?? projectPath, packageManager) ?? getPackageManagerVersion(packageManager) ?? undefined;
+    const isTS = fs.existsSync(path.join(projectPath, "tsconfig.json"));
+    const probe = new Plan(path.basename(projectPath), { root: projectPath });
+    // A workspace app is named @<project>/web; its templates were rendered with the workspace's name
+    const projectName = workspace ? path.basename(workspace.root) : probe.readJson("package.json").name ?? path.basename(projectPath);
+
+    // Whether the scaffold installed dependencies, as its README says; rendered the same way here
+    const installedAtScaffold = !probe.exists("README.md") || probe.readFile("README.md").includes("install (already done)");
+
+    // Features the project already has, so templates render the way they would have at scaffold time
+    const probeCtx = createFeatureContext({ projectName, packageManager, packageManagerVersion, isTS, enabled: [], workspace });
+    const installed = FEATURES.filter(other => detectFeature(other, probe, probeCtx)).map(other => other.name);
+    if (installed.includes(feature.name)) {
+        console.log(chalk.yellow(`${feature.title} is already set up in this project.`));
+        return;
+    }
+    // Choices of the same prompt are alternatives: one router, one UI library, ...
+    const rival = feature.choice && FEATURES.find(other => installed.includes(other.name) && other.choice?.question === feature.choice.question);
+    if (rival) {
+        throw new UsageError(`This project already uses ${rival.title}; ${feature.title} is an alternative to it and cannot be added alongside`);
+    }
+
+    // What SparkVite would have generated for the installed features; files still matching it may be replaced
+    const pristine = renderGeneratedFiles(createFeatureContext({ projectName, packageManager, packageManagerVersion, installed: installedAtScaffold, isTS, enabled: installed, workspace }));
+    // A plugin feature may ask its own questions
+    const answers = feature.prompts?.length ? await inquirer.prompt(feature.prompts) : {};
+    const ctx = createFeatureContext({ projectName, packageManager, packageManagerVersion, installed: installedAtScaffold, isTS, enabled: [...installed, feature.name], answers, workspace });
+    const plan = new Plan(projectName, { root: projectPath, pristine });
+    plan.write("📝 Updating project files...");
+
+    let skippedSteps;
+    try {
+        applyFeature(feature, plan, ctx);
+        skippedSteps = addInstallSteps(plan, ctx, [feature], { install: !options.noInstall });
+    } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        console.error(chalk.red(`❌ Cannot add ${feature.title}: ${error.message}.`));
+        console.error(chalk.gray("Nothing was changed. Resolve the conflict by hand or commit your changes and retry."));
+        process.exit(1);
+    }
+
+    if (options.planJson) {
+        console.log(JSON.stringify({ feature: feature.name, packageManager, ...plan.toJSON() }, null, 2));
+        return;
+    }
+    if (options.dryRun) {
+        printPlan(plan);
+        return;
+    }
+
+    // The package manager is the project's; there is no alternative to offer
+    await checkPackageManager({ packageManager, workspace: Boolean(workspace) }, { interactive: false });
+    checkCommands(plan);
+    checkWritable(projectPath);
+    if (workspace) checkWritable(workspace.root);
+
+    reporter.log(chalk.cyan(`➕ Adding ${feature.title} (using ${packageManager})`));
+    try {
+        await executePlan(plan, projectPath, reporter);
+    } catch (error) {
+        if (!(error instanceof StepError)) throw error;
+        printFailureReport(plan, error, reporter);
+        process.exit(1);
+    }
+    reporter.log(chalk.green(`\n✅ ${feature.title} added in ${seconds(Date.now() - reporter.startedAt)}!`));
+    if (skippedSteps.length) {
+        reporter.log(chalk.blue(`\nNext steps:\n${skippedSteps.map(command => `  ${command}`).join("\n")}`));
+    }
+}
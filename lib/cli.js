@@ -0,0 +1,231 @@
+import fs from "fs";
+import path from "path";
+import { UsageError } from "./errors.js";
+import { CHOICES, TOGGLES, normalizeAnswers } from "./prompts.js";
+import { featureNames } from "./features/index.js";
+
+// Flags that take a value, mapped to the answer they set
+const VALUE_FLAGS = {
+    pm: "packageManager",
+    "package-manager": "packageManager",
+    language: "language",
+    ui: "uiLibrary",
+    theme: "theme",
+    state: "stateManagement",
+    data: "dataFetching",
+    "router-mode": "routerMode",
+    deploy: "deployTarget"
+};
+
+// Shorthand flags that set an answer to a fixed value
+const SHORTHAND_FLAGS = {
+    ts: ["language", "TypeScript"],
+    js: ["language", "JavaScript"]
+};
+
+// Flags that only change how the CLI behaves
+const SWITCHES = {
+    yes: "yes",
+    y: "yes",
+    overwrite: "overwrite",
+    "keep-on-failure": "keepOnFailure",
+    "dry-run": "dryRun",
+    "plan-json": "planJson",
+    verify: "verify",
+    "no-install": "noInstall",
+    quiet: "quiet",
+    q: "quiet",
+    verbose: "verbose",
+    json: "json",
+    help: "help",
+    h: "help",
+    version: "version",
+    v: "version"
+};
+
+const aliasList = name => CHOICES[name].map(choice => choice.aliases[0]).join(" | ");
+
+// A function so choices and features added by plugins are listed too
+export const usage = () => `
+Usage: create-sparkvite [project-name] [options]
+       create-sparkvite add <feature> [--pm <pm>] [--dry-run] [--no-install] [--quiet | --verbose]
+
+Commands:
+  add <feature>                  Add a feature to the project in the current directory
+                                 (${featureNames().join(", ")})
+
+Answers (anything not given is prompted for):
+  --pm, --package-manager <pm>   ${aliasList("packageManager")}
+  --ts, --js, --language <lang>  ${aliasList("language")}
+  --ui <library>                 ${aliasList("uiLibrary")}
+  --theme <preset>               ${aliasList("theme")}
+  --state <library>              ${aliasList("stateManagement")}
+  --data <library>               ${aliasList("dataFetching")}
+  --router-mode <mode>           ${aliasList("routerMode")}
+  --deploy <target>              ${aliasList("deployTarget")}
+${TOGGLES.map(name => `  --${name}, --no-${name}`.padEnd(33) + `Enable or skip ${name}`).join("\n")}
+
+Options:
+  --preset <file>                Load answers (and "plugins") from a JSON file
+  -y, --yes                      Use defaults instead of prompting
+  --overwrite                    Replace an existing project directory
+  --keep-on-failure              Keep the partially generated project if a step fails
+  --dry-run                      Print every command and file change without running anything
+  --plan-json                    Print the same plan as JSON (implies --dry-run)
+  --verify                       Build, lint, test and type-check the new project; exit 1 if any fails
+  --no-install                   Write the dependencies to package.json without installing them
+  -q, --quiet                    Hide command output unless a step fails
+  --verbose                      Stream command output, prefixed with its step, and time every step
+  --json                         Print only a JSON report of the run (implies --yes)
+  -h, --help                     Show this help
+  -v, --version                  Show the CLI version
+
+Plugins: installed sparkvite-plugin-* packages are loaded automatically.
+`;
+
+/**
+ * Parses argv (without the node and script entries) into
+ * `{ command, feature, answers, preset, yes, overwrite, keepOnFailure, dryRun, planJson, verify, noInstall, output, help, version }`.
+ * `output` is the reporter mode: "default", "quiet", "verbose" or "json".
+ * Answers are kept as typed, since plugins may add choices; normalizeFlagAnswers
+ * validates them once plugins are loaded.
+ */
+export function parseArgs(argv) {
+    const options = {
+        command: "create",
+        feature: undefined,
+        answers: {},
+        answerSources: {},
+        preset: undefined,
+        yes: false,
+        overwrite: false,
+        keepOnFailure: false,
+        dryRun: false,
+        planJson: false,
+        verify: false,
+        noInstall: false,
+        quiet: false,
+        verbose: false,
+        json: false,
+        help: false,
+        version: false
+    };
+    const positionals = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith("-") || arg === "-") {
+            positionals.push(arg);
+            continue;
+        }
+
+        let [flag, inlineValue] = arg.replace(/^--?/, "").split(/=(.*)/s);
+        const takeValue = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith("-")) {
+                throw new UsageError(`Missing value for --${flag}`);
+            }
+            i++;
+            return next;
+        };
+
+        if (VALUE_FLAGS[flag]) {
+            options.answers[VALUE_FLAGS[flag]] = takeValue();
+            options.answerSources[VALUE_FLAGS[flag]] = `--${flag}`;
+        } else if (flag === "preset") {
+            options.preset = takeValue();
+        } else if (SHORTHAND_FLAGS[flag]) {
+            const [key, value] = SHORTHAND_FLAGS[flag];
+            options.answers[key] = value;
+        } else if (TOGGLES.includes(flag)) {
+            options.answers[flag] = true;
+        } else if (flag.startsWith("no-") && TOGGLES.includes(flag.slice(3))) {
+            options.answers[flag.slice(3)] = false;
+        } else if (SWITCHES[flag]) {
+            options[SWITCHES[flag]] = true;
+        } else {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+    }
+
+    const modes = ["quiet", "verbose", "json"].filter(mode => options[mode]);
+    if (modes.length > 1) {
+        throw new UsageError(`--${modes[0]} and --${modes[1]} cannot be combined`);
+    }
+    options.output = modes[0] ?? "default";
+
+    if (positionals[0] === "add") {
+        return parseAddArgs(options, positionals.slice(1));
+    }
+
+    if (positionals.length > 1) {
+        throw new UsageError(`Expected a single project name, got: ${positionals.join(" ")}`);
+    }
+    if (positionals.length === 1) {
+        options.answers.projectName = positionals[0];
+        options.answerSources.projectName = "project name";
+    }
+
+    if (options.planJson) options.dryRun = true;
+    if (options.verify && options.noInstall) {
+        throw new UsageError("--verify needs the dependencies installed and cannot be combined with --no-install");
+    }
+    if (options.json) {
+        if (options.dryRun) throw new UsageError("--json reports a run; use --plan-json to print the plan instead");
+        // Prompts would end up in the report
+        options.yes = true;
+    }
+
+    return options;
+}
+
+function parseAddArgs(options, positionals) {
+    const [feature, ...rest] = positionals;
+    // The feature name itself is checked by addFeature, once plugins are loaded
+    if (!feature || rest.length) {
+        throw new UsageError("Usage: create-sparkvite add <feature>. Run create-sparkvite --help to list the features.");
+    }
+    const extra = Object.keys(options.answers).filter(key => key !== "packageManager");
+    // Options of a new project; add would silently ignore them
+    const createOnly = ["preset", "yes", "overwrite", "keepOnFailure", "verify", "json"].filter(option => options[option]);
+    if (extra.length || createOnly.length) {
+        throw new UsageError("Only --pm, --dry-run, --plan-json, --no-install, --quiet and --verbose can be combined with add");
+    }
+
+    options.command = "add";
+    options.feature = feature;
+    return options;
+}
+
+// Validates the answers given on the command line, naming the flag that set each one in errors
+export function normalizeFlagAnswers(options) {
+    const answers = {};
+    for (const [key, value] of Object.entries(options.answers)) {
+        Object.assign(answers, normalizeAnswers({ [key]: value }, options.answerSources[key] ?? `--${key}`));
+    }
+    return answers;
+}
+
+/**
+ * Reads a saved answers object, e.g. { "packageManager": "pnpm", "language": "ts" }.
+ * Its optional "plugins" array is returned separately, with the preset's
+ * directory that relative plugin paths resolve against.
+ */
+export function readPreset(file) {
+    const presetPath = path.resolve(file);
+    let raw;
+    try {
+        raw = JSON.parse(fs.readFileSync(presetPath, "utf-8"));
+    } catch (error) {
+        throw new UsageError(`Could not read preset ${file}: ${error.message}`);
+    }
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        throw new UsageError(`Preset ${file} must contain a JSON object of answers`);
+    }
+    const { plugins = [], ...answers } = raw;
+    if (!Array.isArray(plugins)) {
+        throw new UsageError(`Preset ${file}: "plugins" must be an array of paths or package names`);
+    }
+    return { file, answers, plugins, dir: path.dirname(presetPath) };
+}
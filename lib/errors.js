@@ -0,0 +1,35 @@
+// Thrown for bad flags, preset files or answers. The CLI prints only the
+// message for these (no stack trace) since they are the user's to fix.
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "UsageError";
+    }
+}
+
+// Thrown by executePlan when a step fails; `index` is the step's position in the plan
+export class StepError extends Error {
+    constructor(step, index, cause) {
+        super(`${step.title.replace(/\.\.\.$/, "")} failed: ${cause.message}`, { cause });
+        this.name = "StepError";
+        this.step = step;
+        this.index = index;
+    }
+}
+
+// Thrown when a feature cannot be applied without overwriting user changes
+export class ConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ConflictError";
+    }
+}
+
+// Thrown when the machine cannot run the setup: Node.js too old, a package
+// manager or Git missing, no write access. Printed without a stack trace.
+export class PreflightError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PreflightError";
+    }
+}
@@ -0,0 +1,45 @@
+import spawn from "cross-spawn";
+
+// Children still running, so an interrupted CLI can stop them
+const running = new Set();
+
+// Arguments that read the same unquoted in any shell
+const PLAIN_ARG = /^[\w@%+=:,./^~-]+$/;
+
+// ["git", "commit", "-m", "Initial commit"] -> git commit -m 'Initial commit', for display only
+export function formatCommand([command, ...args]) {
+    return [command, ...args.map(arg => (PLAIN_ARG.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`))].join(" ");
+}
+
+/**
+ * Runs `[command, ...args]` in `cwd` without a shell, so project names and
+ * package specs never need quoting; cross-spawn resolves `.cmd` shims such as
+ * npm.cmd on Windows. The output goes straight to the terminal or, with
+ * `onOutput`, to that callback chunk by chunk (stdout and stderr interleaved).
+ * Rejects when the command is missing or exits non-zero, with the exit code
+ * as `exitCode`.
+ */
+export function spawnCommand(argv, { cwd, onOutput } = {}) {
+    const [command, ...args] = argv;
+    return new Promise((resolve, reject) => {
+        const child = spawn(command, args, { cwd, stdio: onOutput ? ["ignore", "pipe", "pipe"] : "inherit" });
+        running.add(child);
+        child.stdout?.setEncoding("utf-8").on("data", onOutput);
+        child.stderr?.setEncoding("utf-8").on("data", onOutput);
+        child.on("error", error => {
+            running.delete(child);
+            reject(error.code === "ENOENT" ? new Error(`${command} is not installed or not on the PATH`) : error);
+        });
+        child.on("close", (code, signal) => {
+            running.delete(child);
+            if (code === 0) return resolve();
+            const reason = signal ? `was stopped by ${signal}` : `exited with code ${code}`;
+            reject(Object.assign(new Error(`${command} ${reason}`), { exitCode: code }));
+        });
+    });
+}
+
+// Forwards `signal` to every command still running, e.g. when the CLI itself is stopped
+export function stopCommands(signal) {
+    for (const child of running) child.kill(signal);
+}
@@ -0,0 +1,45 @@
+import { addImport, addStatementBeforeRender } from "../transform.js";
+import { addGeneratedFiles, featureDir, patchFile } from "./shared.js";
+
+/**
+ * Builds a data-fetching feature. Every library gets the same axios client
+ * (src/utils/api), MSW mocks (started from main during development and from
+ * the Vitest setup) and Users sample page; `files` only has to provide the
+ * library's useUsers hook and setup.
+ */
+export function dataFetchingFeature({ files, dependencies = [], apply, ...feature }) {
+    return {
+        ...feature,
+        files: [featureDir("api"), featureDir("data-fetching"), files],
+        flags: ["useApi"],
+        dependencies: ["axios", ...dependencies],
+        devDependencies: ["msw"],
+        apply(plan, ctx) {
+            // Rendering waits for the mock worker, so the first requests are already mocked
+            patchFile(plan, ctx.mainFile, code => addStatementBeforeRender(
+                addImport(code, { from: "@/mocks", named: ["enableMocking"] }),
+                "await enableMocking()"
+            ));
+            // VITE_API_MOCKING, the MSW server in the Vitest setup and the /users route of each router mode
+            addGeneratedFiles(plan, ctx, [
+                ".env.example",
+                `src/test/setup.${ctx.scriptExt}`,
+                `src/test/render.${ctx.ext}`,
+                `src/App.${ctx.ext}`,
+                `src/router.${ctx.ext}`,
+                `src/routes/users.${ctx.ext}`,
+                `src/layouts/MainLayout.${ctx.ext}`
+            ]);
+            apply?.(plan, ctx);
+        },
+        afterInstall(plan, ctx) {
+            // Copies mockServiceWorker.js to public/; --save records the folder so MSW upgrades refresh it
+            plan.run("Generating the MSW service worker...", ctx.execArgs("msw", ["init", "public", "--save"]));
+            // Adding the library to a TanStack Router project creates src/routes/users; a new project's tree already has it
+            const generateRoutes = ctx.runScriptArgs("generate-routes");
+            if (ctx.vars.useTanstackRouter && !plan.steps.some(step => step.command === generateRoutes.join(" "))) {
+                plan.run("Adding /users to the route tree...", generateRoutes);
+            }
+        }
+    };
+}
@@ -0,0 +1,18 @@
+import { featureDir } from "./shared.js";
+
+export default {
+    name: "chakra",
+    title: "Chakra UI",
+    choice: { question: "uiLibrary", value: "Chakra UI", aliases: ["chakra", "chakra-ui"] },
+    // Theme system and a Home page using Chakra components
+    files: featureDir("chakra"),
+    dependencies: ["@chakra-ui/react", "@emotion/react"],
+    providers: [{
+        component: "ChakraProvider",
+        props: "value={system}",
+        imports: [
+            { from: "@chakra-ui/react", named: ["ChakraProvider"] },
+            { from: "@/theme", named: ["system"] }
+        ]
+    }]
+};
@@ -0,0 +1,10 @@
+import { deployFeature } from "./deploy.js";
+
+export default deployFeature({
+    name: "cloudflare",
+    title: "Cloudflare Pages",
+    choice: { value: "Cloudflare Pages", aliases: ["cloudflare", "cloudflare-pages"] },
+    detect: plan => plan.exists("wrangler.toml"),
+    devDependencies: ["wrangler"],
+    scripts: ctx => ({ deploy: `${ctx.runScriptCmd} build && wrangler pages deploy` })
+});
@@ -0,0 +1,11 @@
+import { featureDir } from "./shared.js";
+
+export default {
+    name: "context",
+    title: "Context API",
+    choice: { question: "stateManagement", value: "Context API", aliases: ["context", "context-api"] },
+    files: featureDir("context"),
+    // Projects created before the provider had its own file keep it in AppContext.jsx/.tsx
+    detect: (plan, ctx) => plan.exists(`src/context/AppProvider.${ctx.ext}`) || plan.exists(`src/context/AppContext.${ctx.ext}`),
+    providers: [{ component: "AppProvider", imports: [{ from: "@/context/AppProvider", named: ["AppProvider"] }] }]
+};
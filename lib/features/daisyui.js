@@ -0,0 +1,14 @@
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default {
+    name: "daisyui",
+    title: "DaisyUI",
+    choice: { question: "uiLibrary", value: "DaisyUI", aliases: ["daisyui", "daisy"] },
+    // A Home page using DaisyUI classes
+    files: featureDir("daisyui"),
+    devDependencies: ["daisyui"],
+    apply(plan, ctx) {
+        // DaisyUI is a Tailwind plugin, enabled with @plugin in index.css
+        addGeneratedFiles(plan, ctx, ["src/index.css"]);
+    }
+};
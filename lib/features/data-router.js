@@ -0,0 +1,12 @@
+import { routerFeature } from "./routing.js";
+import { featureDir } from "./shared.js";
+
+export default routerFeature({
+    name: "data-router",
+    title: "React Router data router",
+    choice: { value: "Data router", aliases: ["data", "data-router"] },
+    // Route objects with a loader and an errorElement (src/router), rendered by App through <RouterProvider>
+    files: featureDir("data-router"),
+    detect: (plan, ctx) => plan.exists(`src/router.${ctx.ext}`),
+    dependencies: ["react-router-dom"]
+});
@@ -0,0 +1,55 @@
+import path from "path";
+import { getCiInstallCmd, getLockfile } from "../pm.js";
+import { TEMPLATES_DIR, renderTemplateDir } from "../template.js";
+import { APP_DIR, ROOT_FROM_APP } from "../workspace.js";
+import { addGeneratedFiles } from "./shared.js";
+
+// Files under .github/ belong to the repository, which is the workspace root in a --workspace project
+const REPO_DIR = ".github/";
+
+const repoPlan = (plan, ctx) => (ctx.workspace ? plan.scope(ROOT_FROM_APP) : plan);
+
+/**
+ * Template variables of the deploy files. `historyFallback` is whether
+ * unknown paths have to be answered with index.html: routers that use the
+ * URL path need it, HashRouter and apps without routing do not.
+ */
+function deployVars(ctx) {
+    return {
+        ...ctx.vars,
+        historyFallback: Boolean(ctx.vars.useRouting && !ctx.vars.useHashRouter),
+        lockfile: getLockfile(ctx.packageManager),
+        ciInstallCmd: getCiInstallCmd(ctx.packageManager, ctx.packageManagerVersion),
+        usesBun: ctx.packageManager === "bun",
+        // pnpm and yarn come with Node through Corepack
+        usesCorepack: ["pnpm", "yarn"].includes(ctx.packageManager),
+        distDir: ctx.workspace ? `${APP_DIR}/dist` : "dist",
+        // Hosting project names are lowercase
+        siteName: ctx.projectName.toLowerCase()
+    };
+}
+
+/**
+ * Builds a deploy target: a choice of the deploy target prompt whose files
+ * are rendered from templates/deploy/<name>. The generated README and
+ * .env.example describe how the target gets the VITE_* variables.
+ */
+export function deployFeature({ name, choice, apply, ...feature }) {
+    return {
+        name,
+        choice: { question: "deployTarget", ...choice },
+        ...feature,
+        apply(plan, ctx) {
+            const files = renderTemplateDir(path.join(TEMPLATES_DIR, "deploy", name), deployVars(ctx));
+            const repoFiles = new Map([...files].filter(([filePath]) => filePath.startsWith(REPO_DIR)));
+            plan.createFiles(new Map([...files].filter(([filePath]) => !repoFiles.has(filePath))));
+            repoPlan(plan, ctx).createFiles(repoFiles);
+
+            addGeneratedFiles(plan, ctx, ["README.md", ".env.example"]);
+            apply?.(plan, ctx);
+        }
+    };
+}
+
+/** Whether the repository of the project has `filePath`, e.g. a workflow */
+export const repoHasFile = (plan, ctx, filePath) => repoPlan(plan, ctx).exists(filePath);
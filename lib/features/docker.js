@@ -0,0 +1,9 @@
+import { deployFeature } from "./deploy.js";
+
+export default deployFeature({
+    name: "docker",
+    title: "Docker",
+    choice: { value: "Docker", aliases: ["docker", "dockerfile"] },
+    // A multi-stage Dockerfile that builds the app and serves dist/ with nginx
+    detect: plan => plan.exists("Dockerfile")
+});
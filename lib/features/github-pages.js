@@ -0,0 +1,17 @@
+import { addConfigProperty } from "../transform.js";
+import { deployFeature, repoHasFile } from "./deploy.js";
+import { patchFile } from "./shared.js";
+
+const WORKFLOW = ".github/workflows/deploy.yml";
+
+export default deployFeature({
+    name: "github-pages",
+    title: "GitHub Pages",
+    choice: { value: "GitHub Pages", aliases: ["github-pages", "gh-pages"] },
+    // A workflow that builds and publishes dist/ on every push to main
+    detect: (plan, ctx) => repoHasFile(plan, ctx, WORKFLOW),
+    apply(plan, ctx) {
+        // Project sites live under /<repository>/; the routers read it back from import.meta.env.BASE_URL
+        patchFile(plan, ctx.viteConfigFile, code => addConfigProperty(code, "base", `'/${ctx.projectName}/'`));
+    }
+});
@@ -0,0 +1,14 @@
+import { routerFeature } from "./routing.js";
+import { featureDir } from "./shared.js";
+
+export default routerFeature({
+    name: "hash-router",
+    title: "React Router (HashRouter)",
+    // URLs like /#/about need no server rewrites, for hosts that only serve static files
+    choice: { value: "HashRouter", aliases: ["hash", "hash-router"] },
+    files: featureDir("router"),
+    flags: ["useRoutesTree"],
+    detect: (plan, ctx) => Boolean(plan.readFile(ctx.mainFile)?.includes("<HashRouter")),
+    dependencies: ["react-router-dom"],
+    providers: [{ component: "HashRouter", imports: [{ from: "react-router-dom", named: ["HashRouter"] }] }]
+});
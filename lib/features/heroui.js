@@ -0,0 +1,15 @@
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default {
+    name: "heroui",
+    title: "HeroUI",
+    choice: { question: "uiLibrary", value: "HeroUI" },
+    // Tailwind plugin file and a Home page using HeroUI components
+    files: featureDir("heroui"),
+    dependencies: ["@heroui/react", "framer-motion"],
+    providers: [{ component: "HeroUIProvider", imports: [{ from: "@heroui/react", named: ["HeroUIProvider"] }] }],
+    apply(plan, ctx) {
+        // @plugin and @source lines for HeroUI's theme in index.css
+        addGeneratedFiles(plan, ctx, ["src/index.css"]);
+    }
+};
@@ -0,0 +1,219 @@
+import { addChoice, addQuestion } from "../prompts.js";
+import { getExecArgs, getInstallArgs, getRunScriptArgs, getRunScriptCmd, getRunScriptWithArgsCmd } from "../pm.js";
+import { addImport, addVitePlugin, wrapRoot } from "../transform.js";
+import { ROOT_FROM_APP } from "../workspace.js";
+import { addDependencies, addFeatureFiles, addGeneratedFiles, hasDependency, patchFile, setScript } from "./shared.js";
+import router from "./router.js";
+import dataRouter from "./data-router.js";
+import tanstackRouter from "./tanstack-router.js";
+import hashRouter from "./hash-router.js";
+import context from "./context.js";
+import zustand from "./zustand.js";
+import redux from "./redux.js";
+import reactQuery from "./react-query.js";
+import swr from "./swr.js";
+import rtkQuery from "./rtk-query.js";
+import testing from "./testing.js";
+import linting from "./linting.js";
+import pwa from "./pwa.js";
+import shadcn from "./shadcn.js";
+import mantine from "./mantine.js";
+import mui from "./mui.js";
+import chakra from "./chakra.js";
+import daisyui from "./daisyui.js";
+import heroui from "./heroui.js";
+import docker from "./docker.js";
+import netlify from "./netlify.js";
+import vercel from "./vercel.js";
+import githubPages from "./github-pages.js";
+import cloudflare from "./cloudflare.js";
+import themes from "./theme.js";
+
+/**
+ * Every optional part of a SparkVite project: the built-in features, then
+ * those registered by plugins (see lib/plugins.js). Features are applied in
+ * this order, so later providers wrap earlier ones.
+ *
+ * A feature is a plain object. Only `name` and `title` are required; every
+ * other field is optional, and the ones marked (ctx) may also be a function
+ * of the feature context returning that value.
+ *
+ *   name, title       id used by `add <name>` and for display
+ *   choice            { question, value, aliases } adds it to a list prompt
+ *                     ("uiLibrary", "stateManagement", ...) and selects it there
+ *   prompts           extra inquirer questions, answered before scaffolding
+ *   enabled(answers)  whether the answers select it; defaults to its choice,
+ *                     or to a yes/no answer with the feature's name
+ *   detect(plan, ctx) whether a project has it; defaults to "all of its packages are installed"
+ *   files             directory with react/ and react-ts/ templates, plus
+ *                     tests/react and tests/react-ts added with Vitest (or
+ *                     an array of such directories)
+ *   flags             extra template flags it turns on, shared by alternatives
+ *                     (useApi for every data-fetching library, useRouting for every router)
+ *   vars              extra template variables it sets; a later feature's win
+ *                     (the design tokens of a theme preset)
+ *   dependencies,     package names (versions from lib/versions.js), "name@range"
+ *   devDependencies   specs or a { name: range } object (ctx), written to package.json
+ *                     and installed by the run's single install
+ *   providers         [{ component, props, imports }] wrapped around the app in main (ctx);
+ *                     renderWithProviders in src/test/render wraps those of built-in features too
+ *   vitePlugins       [{ call, from, named | defaultImport, before }] added to vite.config (ctx)
+ *   scripts           { name: command } added to package.json (ctx)
+ *   apply(plan, ctx)  anything else, run after the parts above and before installing
+ *   afterInstall(plan, ctx)  commands that need the dependencies installed (see addInstallSteps)
+ */
+export const FEATURES = [];
+
+/** Validates a feature and adds it to FEATURES, registering its prompt choice and questions */
+export function registerFeature(feature, source = "built-in features") {
+    const fail = message => {
+        throw new Error(`${source}: ${message}`);
+    };
+    if (!feature || typeof feature !== "object") fail("a feature must be an object");
+    if (typeof feature.name !== "string" || !/^[a-z][a-z0-9-]*$/.test(feature.name)) {
+        fail(`invalid feature name ${JSON.stringify(feature.name)} (use lowercase letters, digits and dashes)`);
+    }
+    if (typeof feature.title !== "string") fail(`feature "${feature.name}" needs a title`);
+    if (getFeature(feature.name)) fail(`a feature named "${feature.name}" already exists`);
+    for (const hook of ["enabled", "detect", "apply", "afterInstall"]) {
+        if (feature[hook] !== undefined && typeof feature[hook] !== "function") fail(`"${hook}" of "${feature.name}" must be a function`);
+    }
+
+    try {
+        if (feature.choice) addChoice(feature.choice.question, feature.choice);
+        for (const question of feature.prompts ?? []) addQuestion(question);
+    } catch (error) {
+        fail(error.message);
+    }
+    FEATURES.push(feature);
+}
+
+const BUILT_IN = [
+    router, dataRouter, tanstackRouter, hashRouter, context, zustand, redux, reactQuery, swr, rtkQuery,
+    testing, linting, pwa, shadcn, mantine, mui, chakra, daisyui, heroui, ...themes,
+    docker, netlify, vercel, githubPages, cloudflare
+];
+for (const feature of BUILT_IN) registerFeature(feature);
+
+export const featureNames = () => FEATURES.map(feature => feature.name);
+
+export function getFeature(name) {
+    return FEATURES.find(feature => feature.name === name);
+}
+
+function isEnabled(feature, answers) {
+    if (feature.enabled) return Boolean(feature.enabled(answers));
+    if (feature.choice) return answers[feature.choice.question] === feature.choice.value;
+    return answers[feature.name] === true;
+}
+
+// Names of the features selected by the prompt answers, in FEATURES order
+export function featuresFromAnswers(answers) {
+    return FEATURES.filter(feature => isEnabled(feature, answers)).map(feature => feature.name);
+}
+
+// "react-query" -> "useReactQuery"
+const flagName = name => `use${name.replace(/(^|-)(\w)/g, (_, dash, char) => char.toUpperCase())}`;
+
+/**
+ * Everything features need to know about the project they are applied to.
+ * `vars` are the template variables: a use<Feature> flag for each feature
+ * (useRouter, useRedux, ...), the `vars` of the enabled ones and the
+ * answers to plugin prompts. `workspace`
+ * is set for the app of a --workspace project (see lib/workspace.js).
+ * `packageManagerVersion` is the one the project installs with, when known,
+ * and `installed` whether the run installs dependencies (not with --no-install).
+ * `features` are the definitions of the enabled features, for the helpers
+ * in shared.js and features that act on the others (testing adds their tests).
+ */
+export function createFeatureContext({ projectName, packageManager, packageManagerVersion, installed = true, isTS, enabled, answers = {}, workspace }) {
+    const ext = isTS ? "tsx" : "jsx";
+    const scriptExt = isTS ? "ts" : "js";
+    const runScriptCmd = getRunScriptCmd(packageManager);
+
+    const vars = { projectName, packageManager, runScriptCmd, installed, isTS, useWorkspace: Boolean(workspace), uiPackage: workspace?.ui };
+    for (const feature of FEATURES) {
+        const isEnabled = enabled.includes(feature.name);
+        vars[flagName(feature.name)] = isEnabled;
+        for (const flag of feature.flags ?? []) vars[flag] = vars[flag] || isEnabled;
+        if (isEnabled) Object.assign(vars, feature.vars);
+        for (const question of feature.prompts ?? []) vars[question.name] = answers[question.name];
+    }
+
+    return {
+        projectName,
+        packageManager,
+        packageManagerVersion,
+        isTS,
+        enabled,
+        features: enabled.map(getFeature),
+        answers,
+        workspace,
+        template: isTS ? "react-ts" : "react",
+        ext,
+        scriptExt,
+        mainFile: `src/main.${ext}`,
+        viteConfigFile: `vite.config.${scriptExt}`,
+        runScriptCmd,
+        runScriptWithArgsCmd: (script, args) => getRunScriptWithArgsCmd(packageManager, script, args),
+        // Commands for plan.run, as argument arrays
+        runScriptArgs: (script, args) => getRunScriptArgs(packageManager, script, args),
+        execArgs: (bin, args) => getExecArgs(packageManager, bin, args),
+        vars
+    };
+}
+
+const resolve = (value, ctx) => (typeof value === "function" ? value(ctx) : value);
+
+// Package specs from an array of names/specs or a { name: range } object
+function dependencySpecs(dependencies) {
+    if (!dependencies) return [];
+    return Array.isArray(dependencies)
+        ? dependencies
+        : Object.entries(dependencies).map(([name, range]) => `${name}@${range}`);
+}
+
+// "@scope/pkg@^1.0.0" -> "@scope/pkg"
+const packageName = spec => spec.replace(/^(@?[^@]+)@.*$/, "$1");
+
+/** Whether the project in `plan` already has the feature */
+export function detectFeature(feature, plan, ctx) {
+    if (feature.detect) return Boolean(feature.detect(plan, ctx));
+    const specs = [feature.dependencies, feature.devDependencies].flatMap(deps => dependencySpecs(resolve(deps, ctx)));
+    return specs.length > 0 && specs.every(spec => hasDependency(plan, packageName(spec)));
+}
+
+/** Adds everything a feature declares to the plan, in the order documented on FEATURES, except afterInstall */
+export function applyFeature(feature, plan, ctx) {
+    if (feature.files) addFeatureFiles(plan, ctx, feature);
+
+    const providers = resolve(feature.providers, ctx) ?? [];
+    for (const { component, props, imports = [] } of providers) {
+        patchFile(plan, ctx.mainFile, code => wrapRoot(imports.reduce(addImport, code), { component, props }));
+    }
+    if (providers.length) addGeneratedFiles(plan, ctx, [`src/test/render.${ctx.ext}`]);
+    for (const vitePlugin of resolve(feature.vitePlugins, ctx) ?? []) {
+        patchFile(plan, ctx.viteConfigFile, code => addVitePlugin(code, vitePlugin));
+    }
+    for (const [name, command] of Object.entries(resolve(feature.scripts, ctx) ?? {})) {
+        setScript(plan, name, command);
+    }
+    feature.apply?.(plan, ctx);
+
+    addDependencies(plan, dependencySpecs(resolve(feature.dependencies, ctx)));
+    addDependencies(plan, dependencySpecs(resolve(feature.devDependencies, ctx)), true);
+}
+
+/**
+ * The one install of a run, once every feature is applied to `plan`, then the
+ * afterInstall steps of `features`. An app in a workspace installs from the
+ * workspace root. With `install: false` (--no-install) none of it runs; the
+ * skipped commands are returned instead, to run by hand.
+ */
+export function addInstallSteps(plan, ctx, features, { install = true } = {}) {
+    const first = plan.steps.length;
+    plan.run("📦 Installing dependencies...", getInstallArgs(ctx.packageManager), ctx.workspace ? ROOT_FROM_APP : ".");
+    for (const feature of features) feature.afterInstall?.(plan, ctx);
+    if (install) return [];
+    return plan.steps.splice(first).map(step => (step.cwd === "." ? step.command : `(cd ${step.cwd} && ${step.command})`));
+}
@@ -0,0 +1,54 @@
+import { addFlatConfigEntry, addImport, defaultImportName, hasImport } from "../transform.js";
+import { featureDir, hasDependency, patchFile, renderFeatureTemplates } from "./shared.js";
+
+const CONFIG_FILE = "eslint.config.js";
+
+// What a customized eslint.config.js gets when it does not use the plugin yet
+const MERGED_PLUGINS = [
+    {
+        pkg: "eslint-plugin-react",
+        from: "eslint-plugin-react",
+        defaultImport: "react",
+        entries: [
+            "react.configs.flat.recommended",
+            "react.configs.flat['jsx-runtime']",
+            "{ settings: { react: { version: 'detect' } } }"
+        ]
+    },
+    // Must stay last so it can turn off the formatting rules of everything above
+    { pkg: "eslint-config-prettier", from: "eslint-config-prettier/flat", defaultImport: "prettier", entries: ["prettier"] }
+];
+
+function mergeEslintConfig(code) {
+    for (const { pkg, entries, ...importSpec } of MERGED_PLUGINS) {
+        if (hasImport(code, pkg)) continue;
+        // A Prettier config the user already has keeps its place at the end
+        const before = defaultImportName(code, "eslint-config-prettier");
+        code = entries.reduce((merged, entry) => addFlatConfigEntry(merged, entry, { before }), addImport(code, importSpec));
+    }
+    return code;
+}
+
+export default {
+    name: "linting",
+    title: "ESLint & Prettier",
+    detect: plan => hasDependency(plan, "prettier"),
+    devDependencies: ["prettier", "eslint-config-prettier", "eslint-plugin-react"],
+    scripts: ctx => ({
+        lint: "eslint .",
+        "lint:fix": ctx.runScriptWithArgsCmd("lint", "--fix"),
+        format: "prettier --write ."
+    }),
+    apply(plan, ctx) {
+        const files = renderFeatureTemplates(ctx, featureDir("linting"));
+        files.set(".prettierrc", JSON.stringify({ semi: true, singleQuote: true, tabWidth: 2 }, null, 2));
+
+        // create-vite's flat config is replaced; one the user has changed gets the missing plugins appended
+        const config = plan.load(CONFIG_FILE);
+        if (config?.exists && config.content !== plan.pristine.get(CONFIG_FILE)) {
+            files.delete(CONFIG_FILE);
+            patchFile(plan, CONFIG_FILE, mergeEslintConfig);
+        }
+        plan.createFiles(files);
+    }
+};
@@ -0,0 +1,22 @@
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default {
+    name: "mantine",
+    title: "Mantine",
+    choice: { question: "uiLibrary", value: "Mantine" },
+    // Theme and a Home page using Mantine components
+    files: featureDir("mantine"),
+    dependencies: ["@mantine/core", "@mantine/hooks"],
+    providers: [{
+        component: "MantineProvider",
+        props: "theme={theme}",
+        imports: [
+            { from: "@mantine/core", named: ["MantineProvider"] },
+            { from: "@/theme", named: ["theme"] }
+        ]
+    }],
+    apply(plan, ctx) {
+        // Mantine's layered stylesheet in index.css
+        addGeneratedFiles(plan, ctx, ["src/index.css"]);
+    }
+};
@@ -0,0 +1,30 @@
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default {
+    name: "mui",
+    title: "MUI",
+    choice: { question: "uiLibrary", value: "MUI", aliases: ["mui", "material-ui"] },
+    // Theme and a Home page using MUI components
+    files: featureDir("mui"),
+    dependencies: ["@mui/material", "@emotion/react", "@emotion/styled"],
+    providers: [
+        {
+            component: "ThemeProvider",
+            props: "theme={theme}",
+            imports: [
+                { from: "@mui/material/styles", named: ["ThemeProvider"] },
+                { from: "@/theme", named: ["theme"] }
+            ]
+        },
+        // Puts MUI's styles in a CSS layer that Tailwind utilities can override
+        {
+            component: "StyledEngineProvider",
+            props: "enableCssLayer",
+            imports: [{ from: "@mui/material/styles", named: ["StyledEngineProvider"] }]
+        }
+    ],
+    apply(plan, ctx) {
+        // Layer order in index.css
+        addGeneratedFiles(plan, ctx, ["src/index.css"]);
+    }
+};
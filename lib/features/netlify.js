@@ -0,0 +1,8 @@
+import { deployFeature } from "./deploy.js";
+
+export default deployFeature({
+    name: "netlify",
+    title: "Netlify",
+    choice: { value: "Netlify", aliases: ["netlify"] },
+    detect: plan => plan.exists("netlify.toml")
+});
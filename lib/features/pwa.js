@@ -0,0 +1,43 @@
+import { addConfigModeParam, addImport, addRootElement, addTypeReference, addVitePlugin } from "../transform.js";
+import { addGeneratedFiles, featureDir, hasDependency, patchFile } from "./shared.js";
+
+export default {
+    name: "pwa",
+    title: "PWA",
+    // pwa.config, icon source SVG, offline page and the ReloadPrompt component
+    files: featureDir("pwa"),
+    detect: plan => hasDependency(plan, "vite-plugin-pwa"),
+    devDependencies: ["vite-plugin-pwa", "workbox-window", "@vite-pwa/assets-generator"],
+    scripts: { "generate-pwa-assets": "pwa-assets-generator" },
+    apply(plan, ctx) {
+        // Icon and theme-color tags in index.html
+        addGeneratedFiles(plan, ctx, ["index.html"]);
+
+        // The plugin reads VITE_API_URL from the env files of the mode being built
+        patchFile(plan, ctx.viteConfigFile, code => {
+            code = addVitePlugin(addConfigModeParam(code), {
+                from: "vite-plugin-pwa",
+                named: ["VitePWA"],
+                call: "VitePWA(pwaOptions(loadEnv(mode, process.cwd()).VITE_API_URL))"
+            });
+            code = addImport(code, { from: "vite", named: ["loadEnv"] });
+            // Imported rather than global, so the browser-only ESLint globals accept it
+            code = addImport(code, { from: "node:process", defaultImport: "process" });
+            return addImport(code, { from: ctx.isTS ? "./pwa.config" : "./pwa.config.js", named: ["pwaOptions"] });
+        });
+        patchFile(plan, ctx.mainFile, code => addRootElement(
+            addImport(code, { from: "@/components/ReloadPrompt", defaultImport: "ReloadPrompt" }),
+            "<ReloadPrompt />"
+        ));
+        if (ctx.isTS) {
+            patchFile(plan, "src/vite-env.d.ts", code => addTypeReference(code, "vite-plugin-pwa/react"));
+            const include = plan.readJson("tsconfig.node.json").include ?? [];
+            if (!include.includes("pwa.config.ts")) {
+                plan.setJson("tsconfig.node.json", ["include"], [...include, "pwa.config.ts", "pwa-assets.config.ts"]);
+            }
+        }
+    },
+    afterInstall(plan, ctx) {
+        plan.run("Generating PWA icons...", ctx.runScriptArgs("generate-pwa-assets"));
+    }
+};
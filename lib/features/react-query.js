@@ -0,0 +1,19 @@
+import { dataFetchingFeature } from "./api.js";
+import { featureDir } from "./shared.js";
+
+export default dataFetchingFeature({
+    name: "react-query",
+    title: "TanStack Query",
+    choice: { question: "dataFetching", value: "TanStack Query", aliases: ["tanstack-query", "react-query", "tanstack"] },
+    // QueryClient and a useQuery hook
+    files: featureDir("react-query"),
+    dependencies: ["@tanstack/react-query"],
+    providers: [{
+        component: "QueryClientProvider",
+        props: "client={queryClient}",
+        imports: [
+            { from: "@tanstack/react-query", named: ["QueryClientProvider"] },
+            { from: "@/utils/queryClient", named: ["queryClient"] }
+        ]
+    }]
+});
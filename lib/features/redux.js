@@ -0,0 +1,19 @@
+import { featureDir } from "./shared.js";
+
+export default {
+    name: "redux",
+    title: "Redux Toolkit",
+    choice: { question: "stateManagement", value: "Redux", aliases: ["redux", "redux-toolkit"] },
+    // counterSlice and store
+    files: featureDir("redux"),
+    dependencies: ["@reduxjs/toolkit", "react-redux"],
+    devDependencies: ctx => (ctx.isTS ? ["@types/react-redux"] : []),
+    providers: [{
+        component: "Provider",
+        props: "store={store}",
+        imports: [
+            { from: "react-redux", named: ["Provider"] },
+            { from: "@/stores/store", named: ["store"] }
+        ]
+    }]
+};
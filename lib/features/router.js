@@ -0,0 +1,19 @@
+import { routerFeature } from "./routing.js";
+import { featureDir } from "./shared.js";
+
+export default routerFeature({
+    name: "router",
+    title: "React Router",
+    choice: { value: "BrowserRouter", aliases: ["browser", "browser-router"] },
+    // An App with a <Routes> tree of lazy pages, shared with HashRouter
+    files: featureDir("router"),
+    flags: ["useRoutesTree"],
+    detect: (plan, ctx) => Boolean(plan.readFile(ctx.mainFile)?.includes("<BrowserRouter")),
+    dependencies: ["react-router-dom"],
+    // BASE_URL is Vite's `base`, so routes still match when the app is served from a subpath (GitHub Pages)
+    providers: [{
+        component: "BrowserRouter",
+        props: "basename={import.meta.env.BASE_URL}",
+        imports: [{ from: "react-router-dom", named: ["BrowserRouter"] }]
+    }]
+});
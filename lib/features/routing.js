@@ -0,0 +1,19 @@
+import { featureDir } from "./shared.js";
+
+// Router modes only make sense with routing on; --no-router with --router-mode is a mistake
+const withRouting = answers => answers.router !== false || "A router mode needs routing (drop --no-router)";
+
+/**
+ * Builds a router feature for the routerMode prompt. Every mode shares the
+ * MainLayout, About and NotFound pages (src/layouts, src/pages); `files` only
+ * has to provide the routes and whatever renders them. Pages are code-split,
+ * so each one is loaded the first time its route is visited.
+ */
+export function routerFeature({ choice, files, flags = [], ...feature }) {
+    return {
+        ...feature,
+        choice: { question: "routerMode", when: withRouting, ...choice },
+        files: [featureDir("routing"), files],
+        flags: ["useRouting", ...flags]
+    };
+}
@@ -0,0 +1,23 @@
+import { ConflictError } from "../errors.js";
+import { dataFetchingFeature } from "./api.js";
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default dataFetchingFeature({
+    name: "rtk-query",
+    title: "RTK Query",
+    choice: {
+        question: "dataFetching",
+        value: "RTK Query",
+        aliases: ["rtk-query", "rtk"],
+        when: answers => answers.stateManagement === "Redux" || "RTK Query needs Redux state management (--state redux)"
+    },
+    // The usersApi slice and a hook around its generated query hook
+    files: featureDir("rtk-query"),
+    // Part of @reduxjs/toolkit, which the redux feature installs
+    detect: (plan, ctx) => plan.exists(`src/stores/usersApi.${ctx.scriptExt}`),
+    apply(plan, ctx) {
+        if (!ctx.enabled.includes("redux")) throw new ConflictError("RTK Query needs Redux Toolkit, add redux first");
+        // Registers the API slice's reducer and middleware
+        addGeneratedFiles(plan, ctx, [`src/stores/store.${ctx.scriptExt}`]);
+    }
+});
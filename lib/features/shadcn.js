@@ -0,0 +1,32 @@
+import { UI_FROM_APP, renderUiPackage } from "../workspace.js";
+import { addDependencies, addGeneratedFiles, featureDir, hasDependency } from "./shared.js";
+import { themeVars } from "./theme.js";
+
+// What the components import; in a workspace they belong to packages/ui instead of the app
+const COMPONENT_DEPENDENCIES = ["class-variance-authority", "clsx", "tailwind-merge", "@radix-ui/react-slot"];
+
+export default {
+    name: "shadcn",
+    title: "ShadCN UI",
+    choice: { question: "uiLibrary", value: "ShadCN UI", aliases: ["shadcn", "shadcn-ui"] },
+    // What `shadcn init` would write (components.json, lib/utils), the Button component and a Home page using it
+    files: featureDir("shadcn"),
+    // The design tokens in index.css, in the colors of the Neutral theme preset unless another one is chosen
+    flags: ["useDesignTokens"],
+    vars: themeVars(),
+    detect: plan => plan.exists("components.json") || hasDependency(plan, "class-variance-authority"),
+    dependencies: ctx => (ctx.workspace ? [] : COMPONENT_DEPENDENCIES),
+    devDependencies: ["tw-animate-css"],
+    apply(plan, ctx) {
+        // Design tokens in index.css, and lint rules for the components `npx shadcn add` writes.
+        // A workspace app's eslint.config.js only re-exports the shared config; packages/ui gets the rules
+        addGeneratedFiles(plan, ctx, ctx.workspace ? ["src/index.css"] : ["src/index.css", "eslint.config.js"]);
+
+        if (ctx.workspace) {
+            // The Button, lib/utils and components.json of the shared UI package
+            const ui = plan.scope(UI_FROM_APP);
+            ui.createFiles(renderUiPackage(ctx));
+            addDependencies(ui, COMPONENT_DEPENDENCIES);
+        }
+    }
+};
@@ -0,0 +1,109 @@
+import fs from "fs";
+import path from "path";
+import { parse } from "jsonc-parser";
+import { ConflictError } from "../errors.js";
+import { TEMPLATES_DIR, renderTemplateDir } from "../template.js";
+import { pinned } from "../versions.js";
+import { UI_FROM_APP, renderUiPackage } from "../workspace.js";
+
+export function hasDependency(plan, name) {
+    const pkg = plan.readJson("package.json");
+    return Boolean(pkg.dependencies?.[name] || pkg.devDependencies?.[name]);
+}
+
+// "@scope/pkg@^1.0.0" -> ["@scope/pkg", "^1.0.0"]
+const splitSpec = spec => /^(@?[^@]+)@(.+)$/.exec(spec).slice(1);
+
+/**
+ * Adds packages to package.json, with their ranges from lib/versions.js
+ * unless a spec has its own ("name@range"). Nothing is installed here: the
+ * run's single install step (addInstallSteps) picks them all up. Packages the
+ * project already has keep their version, and entries stay sorted the way
+ * package managers write them.
+ */
+export function addDependencies(plan, specs, dev = false) {
+    const field = dev ? "devDependencies" : "dependencies";
+    const added = specs.map(spec => splitSpec(pinned(spec))).filter(([name]) => !hasDependency(plan, name));
+    if (!added.length) return;
+    const entries = [...Object.entries(plan.readJson("package.json")[field] ?? {}), ...added];
+    plan.setJson("package.json", [field], Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b))));
+}
+
+/**
+ * The files SparkVite renders from templates for a project with `ctx.enabled`
+ * features. Sample tests come last because they override files that only
+ * make sense without a feature (App.test renders App inside a router, ...).
+ * In a workspace app, the files of packages/ui are included relative to the app.
+ */
+export function renderGeneratedFiles(ctx) {
+    const files = renderTemplateDir(path.join(TEMPLATES_DIR, ctx.template), ctx.vars);
+    const dirs = ctx.features.flatMap(featureDirs);
+    for (const dir of dirs) renderFeatureTemplates(ctx, dir, files);
+    if (ctx.vars.useTesting) {
+        for (const dir of dirs) renderFeatureTemplates(ctx, path.join(dir, "tests"), files);
+    }
+    if (ctx.workspace) {
+        for (const [filePath, content] of renderUiPackage(ctx)) files.set(path.posix.join(UI_FROM_APP, filePath), content);
+    }
+    return files;
+}
+
+/**
+ * Re-renders generated files with the current features, for features that
+ * change a file through template conditionals (index.html, index.css, the
+ * Vitest setup, ...). Unmodified copies in an existing project are replaced.
+ * Paths this project does not generate, or that the feature leaves as they
+ * were, are skipped.
+ */
+export function addGeneratedFiles(plan, ctx, paths) {
+    const files = renderGeneratedFiles(ctx);
+    const changed = paths.filter(filePath => files.has(filePath) && files.get(filePath) !== plan.pristine.get(filePath));
+    plan.createFiles(new Map(changed.map(filePath => [filePath, files.get(filePath)])));
+}
+
+// Template directory of a built-in feature, in the layout of a feature's `files`
+export const featureDir = name => path.join(TEMPLATES_DIR, "features", name);
+
+// Renders the <template> subdirectory of `dir`, if it has one, into `files`
+export function renderFeatureTemplates(ctx, dir, files = new Map()) {
+    const srcDir = path.join(dir, ctx.template);
+    return fs.existsSync(srcDir) ? renderTemplateDir(srcDir, ctx.vars, files) : files;
+}
+
+// A feature's template directories; `files` may list several, e.g. templates shared by alternatives
+export const featureDirs = feature => [feature.files ?? []].flat();
+
+// Adds the sample tests of a feature (<files>/tests/<template>) to the plan
+export function addFeatureTests(plan, ctx, feature) {
+    for (const dir of featureDirs(feature)) plan.createFiles(renderFeatureTemplates(ctx, path.join(dir, "tests")));
+}
+
+// Renders the templates of a feature into the plan, plus its tests when the project uses Vitest
+export function addFeatureFiles(plan, ctx, feature) {
+    for (const dir of featureDirs(feature)) plan.createFiles(renderFeatureTemplates(ctx, dir));
+    if (ctx.vars.useTesting) addFeatureTests(plan, ctx, feature);
+}
+
+// Applies one of the lib/transform.js helpers to a file of the project
+export function patchFile(plan, filePath, patch) {
+    if (!plan.exists(filePath)) throw new ConflictError(`${filePath} not found`);
+    try {
+        plan.editFile(filePath, patch);
+    } catch (error) {
+        if (!(error instanceof ConflictError)) throw error;
+        throw new ConflictError(`${filePath}: ${error.message}`);
+    }
+}
+
+// Sets a package.json script, unless the user already defined it differently
+export function setScript(plan, name, command) {
+    const file = plan.load("package.json");
+    const current = plan.readJson("package.json").scripts?.[name];
+    const pristine = plan.pristine.has("package.json")
+        ? parse(plan.pristine.get("package.json")).scripts?.[name]
+        : undefined;
+    if (file.exists && current !== undefined && current !== command && current !== pristine) {
+        throw new ConflictError(`package.json already has a different "${name}" script: ${current}`);
+    }
+    plan.setJson("package.json", ["scripts", name], command);
+}
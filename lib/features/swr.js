@@ -0,0 +1,11 @@
+import { dataFetchingFeature } from "./api.js";
+import { featureDir } from "./shared.js";
+
+export default dataFetchingFeature({
+    name: "swr",
+    title: "SWR",
+    choice: { question: "dataFetching", value: "SWR" },
+    // A useSWR hook; SWR needs no provider
+    files: featureDir("swr"),
+    dependencies: ["swr"]
+});
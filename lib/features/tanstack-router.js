@@ -0,0 +1,28 @@
+import { routerFeature } from "./routing.js";
+import { addGeneratedFiles, featureDir } from "./shared.js";
+
+export default routerFeature({
+    name: "tanstack-router",
+    title: "TanStack Router",
+    choice: { value: "TanStack Router", aliases: ["tanstack", "tanstack-router"] },
+    // File-based routes in src/routes, rendered by App through <RouterProvider>
+    files: featureDir("tanstack-router"),
+    dependencies: ["@tanstack/react-router"],
+    devDependencies: ["@tanstack/router-plugin", "@tanstack/router-cli"],
+    // Generates src/routeTree.gen from src/routes on every dev server start and build, and splits each route into its own chunk
+    vitePlugins: [{
+        call: "tanstackRouter({ target: 'react', autoCodeSplitting: true })",
+        before: "react",
+        from: "@tanstack/router-plugin/vite",
+        named: ["tanstackRouter"]
+    }],
+    scripts: { "generate-routes": "tsr generate" },
+    apply(plan, ctx) {
+        // A scrollTo stub in the Vitest setup, for the router's scroll restoration
+        addGeneratedFiles(plan, ctx, [`src/test/setup.${ctx.scriptExt}`]);
+    },
+    afterInstall(plan, ctx) {
+        // The type-check runs before Vite, so the route tree has to exist from the start
+        plan.run("Generating the route tree...", ctx.runScriptArgs("generate-routes"));
+    }
+});
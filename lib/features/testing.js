@@ -0,0 +1,41 @@
+import { addConfigProperty, addTypeReference } from "../transform.js";
+import { addFeatureTests, featureDir, hasDependency, patchFile } from "./shared.js";
+
+// Vitest reads its options from vite.config; `globals` lets Testing Library clean up after each test
+const testConfig = ctx => `{
+  globals: true,
+  environment: 'jsdom',
+  setupFiles: './src/test/setup.${ctx.scriptExt}',
+  coverage: {
+    provider: 'v8',
+    include: ['src/**/*.{${ctx.isTS ? "ts,tsx" : "js,jsx"}}'],
+  },
+}`;
+
+export default {
+    name: "testing",
+    title: "Vitest",
+    // Setup file and App test
+    files: featureDir("testing"),
+    detect: plan => hasDependency(plan, "vitest"),
+    devDependencies: ["vitest", "@vitest/coverage-v8", "@testing-library/react", "@testing-library/dom", "@testing-library/jest-dom", "jsdom"],
+    scripts: { test: "vitest", coverage: "vitest run --coverage" },
+    apply(plan, ctx) {
+        // The sample tests of every other feature
+        for (const feature of ctx.features) {
+            if (feature.name !== "testing") addFeatureTests(plan, ctx, feature);
+        }
+
+        patchFile(plan, ctx.viteConfigFile, code => {
+            code = addConfigProperty(code, "test", testConfig(ctx));
+            // Types the `test` block of a defineConfig imported from "vite"
+            return ctx.isTS ? addTypeReference(code, "vitest/config") : code;
+        });
+        if (ctx.isTS) {
+            const types = plan.readJson("tsconfig.app.json").compilerOptions?.types ?? [];
+            if (!types.includes("vitest/globals")) {
+                plan.setJson("tsconfig.app.json", ["compilerOptions", "types"], [...types, "vitest/globals"]);
+            }
+        }
+    }
+};
@@ -0,0 +1,239 @@
+import { addImport } from "../transform.js";
+import { addGeneratedFiles, featureDir, hasDependency, patchFile } from "./shared.js";
+
+/**
+ * The color variables ShadCN UI's components use, from a few base values:
+ * cards and popovers share one surface, muted and accent the secondary color.
+ */
+const palette = ({ background, foreground, surface, primary, primaryForeground, secondary, secondaryForeground, mutedForeground, destructive, border, input, ring }) => ({
+    background,
+    foreground,
+    card: surface,
+    "card-foreground": foreground,
+    popover: surface,
+    "popover-foreground": foreground,
+    primary,
+    "primary-foreground": primaryForeground,
+    secondary,
+    "secondary-foreground": secondaryForeground,
+    muted: secondary,
+    "muted-foreground": mutedForeground,
+    accent: secondary,
+    "accent-foreground": secondaryForeground,
+    destructive,
+    border,
+    input,
+    ring
+});
+
+const LIGHT = { background: "oklch(1 0 0)", surface: "oklch(1 0 0)", destructive: "oklch(0.577 0.245 27.325)" };
+const DARK = { destructive: "oklch(0.704 0.191 22.216)", border: "oklch(1 0 0 / 10%)", input: "oklch(1 0 0 / 15%)" };
+
+// ShadCN UI's base colors, one per Tailwind gray scale
+const GRAYS = {
+    neutral: {
+        light: palette({
+            ...LIGHT,
+            foreground: "oklch(0.145 0 0)",
+            primary: "oklch(0.205 0 0)",
+            primaryForeground: "oklch(0.985 0 0)",
+            secondary: "oklch(0.97 0 0)",
+            secondaryForeground: "oklch(0.205 0 0)",
+            mutedForeground: "oklch(0.556 0 0)",
+            border: "oklch(0.922 0 0)",
+            input: "oklch(0.922 0 0)",
+            ring: "oklch(0.708 0 0)"
+        }),
+        dark: palette({
+            ...DARK,
+            background: "oklch(0.145 0 0)",
+            foreground: "oklch(0.985 0 0)",
+            surface: "oklch(0.205 0 0)",
+            primary: "oklch(0.922 0 0)",
+            primaryForeground: "oklch(0.205 0 0)",
+            secondary: "oklch(0.269 0 0)",
+            secondaryForeground: "oklch(0.985 0 0)",
+            mutedForeground: "oklch(0.708 0 0)",
+            ring: "oklch(0.556 0 0)"
+        })
+    },
+    slate: {
+        light: palette({
+            ...LIGHT,
+            foreground: "oklch(0.129 0.042 264.695)",
+            primary: "oklch(0.208 0.042 265.755)",
+            primaryForeground: "oklch(0.984 0.003 247.858)",
+            secondary: "oklch(0.968 0.007 247.896)",
+            secondaryForeground: "oklch(0.208 0.042 265.755)",
+            mutedForeground: "oklch(0.554 0.046 257.417)",
+            border: "oklch(0.929 0.013 255.508)",
+            input: "oklch(0.929 0.013 255.508)",
+            ring: "oklch(0.704 0.04 256.788)"
+        }),
+        dark: palette({
+            ...DARK,
+            background: "oklch(0.129 0.042 264.695)",
+            foreground: "oklch(0.984 0.003 247.858)",
+            surface: "oklch(0.208 0.042 265.755)",
+            primary: "oklch(0.929 0.013 255.508)",
+            primaryForeground: "oklch(0.208 0.042 265.755)",
+            secondary: "oklch(0.279 0.041 260.031)",
+            secondaryForeground: "oklch(0.984 0.003 247.858)",
+            mutedForeground: "oklch(0.704 0.04 256.788)",
+            ring: "oklch(0.551 0.027 264.364)"
+        })
+    },
+    zinc: {
+        light: palette({
+            ...LIGHT,
+            foreground: "oklch(0.141 0.005 285.823)",
+            primary: "oklch(0.21 0.006 285.885)",
+            primaryForeground: "oklch(0.985 0 0)",
+            secondary: "oklch(0.967 0.001 286.375)",
+            secondaryForeground: "oklch(0.21 0.006 285.885)",
+            mutedForeground: "oklch(0.552 0.016 285.938)",
+            border: "oklch(0.92 0.004 286.32)",
+            input: "oklch(0.92 0.004 286.32)",
+            ring: "oklch(0.705 0.015 286.067)"
+        }),
+        dark: palette({
+            ...DARK,
+            background: "oklch(0.141 0.005 285.823)",
+            foreground: "oklch(0.985 0 0)",
+            surface: "oklch(0.21 0.006 285.885)",
+            primary: "oklch(0.92 0.004 286.32)",
+            primaryForeground: "oklch(0.21 0.006 285.885)",
+            secondary: "oklch(0.274 0.006 286.033)",
+            secondaryForeground: "oklch(0.985 0 0)",
+            mutedForeground: "oklch(0.705 0.015 286.067)",
+            ring: "oklch(0.552 0.016 285.938)"
+        })
+    },
+    stone: {
+        light: palette({
+            ...LIGHT,
+            foreground: "oklch(0.147 0.004 49.25)",
+            primary: "oklch(0.216 0.006 56.043)",
+            primaryForeground: "oklch(0.985 0.001 106.423)",
+            secondary: "oklch(0.97 0.001 106.424)",
+            secondaryForeground: "oklch(0.216 0.006 56.043)",
+            mutedForeground: "oklch(0.553 0.013 58.071)",
+            border: "oklch(0.923 0.003 48.717)",
+            input: "oklch(0.923 0.003 48.717)",
+            ring: "oklch(0.709 0.01 56.259)"
+        }),
+        dark: palette({
+            ...DARK,
+            background: "oklch(0.147 0.004 49.25)",
+            foreground: "oklch(0.985 0.001 106.423)",
+            surface: "oklch(0.216 0.006 56.043)",
+            primary: "oklch(0.923 0.003 48.717)",
+            primaryForeground: "oklch(0.216 0.006 56.043)",
+            secondary: "oklch(0.268 0.007 34.298)",
+            secondaryForeground: "oklch(0.985 0.001 106.423)",
+            mutedForeground: "oklch(0.709 0.01 56.259)",
+            ring: "oklch(0.553 0.013 58.071)"
+        })
+    }
+};
+
+/**
+ * The palette presets of the theme prompt: a gray scale, optionally a
+ * Tailwind color replacing its primary and ring colors, a Fontsource variable
+ * font and the base radius. Neutral is ShadCN UI's default theme.
+ */
+export const THEME_PRESETS = [
+    { name: "neutral", title: "Neutral", gray: "neutral", font: "Geist", radius: "0.625rem" },
+    {
+        name: "ocean",
+        title: "Ocean",
+        gray: "slate",
+        // Tailwind's blue-600/50/400 in light mode, blue-500/50/700 in dark mode
+        accent: {
+            light: { primary: "oklch(0.546 0.245 262.881)", "primary-foreground": "oklch(0.97 0.014 254.604)", ring: "oklch(0.707 0.165 254.624)" },
+            dark: { primary: "oklch(0.623 0.214 259.815)", "primary-foreground": "oklch(0.97 0.014 254.604)", ring: "oklch(0.488 0.243 264.376)" }
+        },
+        font: "Inter",
+        radius: "0.5rem"
+    },
+    {
+        name: "forest",
+        title: "Forest",
+        gray: "zinc",
+        // Tailwind's green-600/50/400 in light mode, green-500/950/700 in dark mode
+        accent: {
+            light: { primary: "oklch(0.627 0.194 149.214)", "primary-foreground": "oklch(0.982 0.018 155.826)", ring: "oklch(0.792 0.209 151.711)" },
+            dark: { primary: "oklch(0.723 0.219 149.579)", "primary-foreground": "oklch(0.266 0.065 152.934)", ring: "oklch(0.527 0.154 150.069)" }
+        },
+        font: "Figtree",
+        radius: "0.75rem"
+    },
+    {
+        name: "sunset",
+        title: "Sunset",
+        gray: "stone",
+        // Tailwind's orange-600/50/400 in light mode, orange-500/50/700 in dark mode
+        accent: {
+            light: { primary: "oklch(0.646 0.222 41.116)", "primary-foreground": "oklch(0.98 0.016 73.684)", ring: "oklch(0.75 0.183 55.934)" },
+            dark: { primary: "oklch(0.705 0.213 47.604)", "primary-foreground": "oklch(0.98 0.016 73.684)", ring: "oklch(0.553 0.195 38.402)" }
+        },
+        font: "Outfit",
+        radius: "1rem"
+    }
+];
+
+const NEUTRAL = THEME_PRESETS[0];
+
+// "Inter" -> "@fontsource-variable/inter"
+const fontPackage = font => `@fontsource-variable/${font.toLowerCase()}`;
+
+const declarations = variables => Object.entries(variables).map(([name, value]) => `  --${name}: ${value};`).join("\n");
+
+/**
+ * Template variables for the :root and .dark blocks of src/index.css. ShadCN
+ * UI renders them with the Neutral preset, a theme preset with its own.
+ */
+export function themeVars(preset = NEUTRAL) {
+    const { light, dark } = GRAYS[preset.gray];
+    return {
+        themeTitle: preset.title,
+        themeFont: `"${preset.font} Variable", ui-sans-serif, system-ui, sans-serif`,
+        themeLight: declarations({ radius: preset.radius, ...light, ...preset.accent?.light }),
+        themeDark: declarations({ ...dark, ...preset.accent?.dark })
+    };
+}
+
+// The alternatives to these style with their own theme objects and dark mode
+const withTailwindTheming = answers =>
+    ["None", "ShadCN UI"].includes(answers.uiLibrary) ||
+    `${answers.uiLibrary} brings its own theming; theme presets work with plain Tailwind CSS or ShadCN UI`;
+
+/**
+ * Builds the feature of a theme preset. Every preset shares the ThemeProvider
+ * (light or dark, saved to localStorage and following prefers-color-scheme
+ * until the user picks one) with its useTheme hook, the ThemeToggle in
+ * MainLayout (in App without a router) and the @theme block of
+ * src/index.css, where the preset's tokens go.
+ */
+function themeFeature(preset) {
+    const font = fontPackage(preset.font);
+    return {
+        name: `theme-${preset.name}`,
+        title: `${preset.title} theme`,
+        choice: { question: "theme", value: preset.title, aliases: [preset.name], when: withTailwindTheming },
+        files: featureDir("theme"),
+        flags: ["useTheme", "useDesignTokens"],
+        vars: themeVars(preset),
+        detect: (plan, ctx) => plan.exists(`src/context/ThemeProvider.${ctx.ext}`) && hasDependency(plan, font),
+        dependencies: [font],
+        providers: [{ component: "ThemeProvider", imports: [{ from: "@/context/ThemeProvider", named: ["ThemeProvider"] }] }],
+        apply(plan, ctx) {
+            // Tokens in index.css, the script applying the saved theme before the first paint,
+            // and the toggle in MainLayout, or in App without a router
+            addGeneratedFiles(plan, ctx, ["src/index.css", "index.html", `src/layouts/MainLayout.${ctx.ext}`, `src/App.${ctx.ext}`, `src/App.test.${ctx.ext}`]);
+            patchFile(plan, ctx.mainFile, code => addImport(code, { from: font }));
+        }
+    };
+}
+
+export default THEME_PRESETS.map(themeFeature);
@@ -0,0 +1,8 @@
+import { deployFeature } from "./deploy.js";
+
+export default deployFeature({
+    name: "vercel",
+    title: "Vercel",
+    choice: { value: "Vercel", aliases: ["vercel"] },
+    detect: plan => plan.exists("vercel.json")
+});
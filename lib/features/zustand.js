@@ -0,0 +1,9 @@
+import { featureDir } from "./shared.js";
+
+export default {
+    name: "zustand",
+    title: "Zustand",
+    choice: { question: "stateManagement", value: "Zustand" },
+    files: featureDir("zustand"),
+    dependencies: ["zustand"]
+};
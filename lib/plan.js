@@ -0,0 +1,254 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { createTwoFilesPatch } from "diff";
+import { applyEdits, modify, parse } from "jsonc-parser";
+import { ConflictError, StepError } from "./errors.js";
+import { formatCommand, spawnCommand } from "./exec.js";
+import { Reporter, tail } from "./reporter.js";
+
+const JSON_FORMAT = { formattingOptions: { insertSpaces: true, tabSize: 2 } };
+
+/**
+ * Everything a run would do, described up front: a virtual file tree plus an
+ * ordered list of steps. Steps are either `write` (flush the changed files to
+ * disk) or `command` (a program and its arguments, run without a shell from
+ * a path relative to the project root). Building a plan never touches the filesystem, so it can be
+ * printed for --dry-run before anything is executed.
+ *
+ * With `root`, files that are not in the tree yet are read from that
+ * directory on first access, which is how `add` edits an existing project.
+ * `pristine` maps paths to the content SparkVite originally generates for
+ * them; files still matching it count as unmodified and may be replaced.
+ *
+ * `scope(dir)` gives a view of the same plan in which file paths and command
+ * directories are relative to `dir`, e.g. the app of a --workspace project.
+ */
+export class Plan {
+    constructor(projectName, { root, pristine = new Map() } = {}) {
+        this.projectName = projectName;
+        this.root = root;
+        this.pristine = pristine;
+        this.files = new Map(); // path -> { content, original, exists }
+        this.dirs = new Set();
+        this.steps = [];
+        this.notes = [];
+        this.prefix = "";
+    }
+
+    // Shares the files and steps of this plan; only the paths it is given are resolved differently
+    scope(dir) {
+        const scoped = Object.create(this);
+        scoped.prefix = path.posix.join(this.prefix, dir);
+        return scoped;
+    }
+
+    // Path relative to the project root
+    resolve(filePath) {
+        return this.prefix ? path.posix.join(this.prefix, filePath) : filePath;
+    }
+
+    // Adds rendered template files; later templates replace earlier ones
+    addFiles(files) {
+        for (const [filePath, content] of files) {
+            this.files.set(this.resolve(filePath), { content, original: content, exists: false });
+        }
+    }
+
+    // Adds files a feature creates, refusing to replace files the user has changed
+    createFiles(files) {
+        for (const [filePath, content] of files) {
+            const file = this.load(filePath);
+            if (!file?.exists) {
+                this.files.set(this.resolve(filePath), { content, original: content, exists: false });
+            } else if (file.content !== content) {
+                if (file.content !== this.pristine.get(this.resolve(filePath))) {
+                    throw new ConflictError(`${this.resolve(filePath)} already exists and has local changes`);
+                }
+                file.content = content;
+            }
+        }
+    }
+
+    load(filePath) {
+        const key = this.resolve(filePath);
+        if (!this.files.has(key) && this.root) {
+            const diskPath = path.join(this.root, key);
+            if (fs.existsSync(diskPath)) {
+                const content = fs.readFileSync(diskPath, "utf-8");
+                this.files.set(key, { content, original: content, exists: true });
+            }
+        }
+        return this.files.get(key);
+    }
+
+    exists(filePath) {
+        return Boolean(this.load(filePath));
+    }
+
+    readFile(filePath) {
+        return this.load(filePath)?.content;
+    }
+
+    readJson(filePath) {
+        return parse(this.readFile(filePath) ?? "{}");
+    }
+
+    writeFile(filePath, content) {
+        const file = this.load(filePath);
+        if (file) {
+            file.content = content;
+        } else {
+            this.files.set(this.resolve(filePath), { content, original: undefined, exists: false });
+        }
+    }
+
+    editFile(filePath, edit) {
+        if (!this.exists(filePath)) throw new Error(`Cannot edit ${filePath}: not part of the project`);
+        this.writeFile(filePath, edit(this.readFile(filePath)));
+    }
+
+    // Sets a value inside a JSON (or JSONC) file, keeping its comments and formatting
+    setJson(filePath, jsonPath, value) {
+        this.editFile(filePath, text => applyEdits(text, modify(text, jsonPath, value, JSON_FORMAT)));
+    }
+
+    // Files the write step would touch: everything new plus existing files whose content changed
+    changedFiles() {
+        return [...this.files.entries()].filter(([, file]) => !file.exists || file.content !== file.original);
+    }
+
+    mkdir(dirPath) {
+        this.dirs.add(this.resolve(dirPath));
+    }
+
+    write(title) {
+        this.steps.push({ type: "write", title });
+    }
+
+    // `args` is the command as an array, e.g. ["git", "init"]; `command` is its printable form
+    run(title, args, cwd = ".") {
+        if (!Array.isArray(args)) throw new TypeError(`plan.run("${title}") expects [command, ...args], not a shell string`);
+        this.steps.push({ type: "command", title, command: formatCommand(args), args, cwd: this.resolve(cwd) });
+    }
+
+    // Programs the command steps need, e.g. ["npm", "git"]
+    binaries() {
+        return [...new Set(this.steps.filter(step => step.type === "command").map(step => step.args[0]))];
+    }
+
+    note(message) {
+        this.notes.push(message);
+    }
+
+    // Every file the write step produces, with a unified diff for files SparkVite edited
+    fileChanges() {
+        return this.changedFiles().sort(([a], [b]) => a.localeCompare(b)).map(([filePath, file]) => {
+            const change = { path: filePath, action: file.exists ? "modify" : "create" };
+            if (typeof file.content === "string" && file.original !== undefined && file.original !== file.content) {
+                change.diff = createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, file.original, file.content, undefined, undefined, { context: 3 });
+            }
+            return change;
+        });
+    }
+
+    toJSON() {
+        return {
+            projectName: this.projectName,
+            notes: this.notes,
+            steps: this.steps.map(step => (step.type === "write"
+                ? { ...step, directories: [...this.dirs], files: this.fileChanges() }
+                : step))
+        };
+    }
+}
+
+function colorDiff(diff) {
+    return diff
+        .split("\n")
+        .filter(line => !line.startsWith("==="))
+        .map(line => {
+            if (line.startsWith("+++") || line.startsWith("---")) return chalk.bold(line);
+            if (line.startsWith("+")) return chalk.green(line);
+            if (line.startsWith("-")) return chalk.red(line);
+            if (line.startsWith("@@")) return chalk.cyan(line);
+            return line;
+        })
+        .join("\n");
+}
+
+export function printPlan(plan) {
+    console.log(chalk.magenta(`\n📝 Plan for ${plan.projectName} (dry run, nothing will be changed)\n`));
+    for (const message of plan.notes) console.log(chalk.yellow(`⚠️  ${message}`));
+
+    plan.steps.forEach((step, index) => {
+        const prefix = chalk.gray(`${String(index + 1).padStart(2)}.`);
+        if (step.type === "command") {
+            const cwd = step.cwd === "." ? "" : chalk.gray(`  (in ${step.cwd})`);
+            console.log(`${prefix} ${step.title}\n    ${chalk.cyan("$")} ${step.command}${cwd}`);
+            return;
+        }
+
+        const changes = plan.fileChanges();
+        console.log(`${prefix} ${step.title} (${changes.length} files)`);
+        for (const dir of plan.dirs) console.log(`    ${chalk.green("+")} ${dir}/`);
+        for (const change of changes) {
+            const marker = change.action === "create" ? chalk.green("+") : chalk.yellow("~");
+            console.log(`    ${marker} ${change.path}${change.diff ? chalk.gray(" (edited, diff below)") : ""}`);
+        }
+        for (const change of changes.filter(change => change.diff)) {
+            console.log("\n" + colorDiff(change.diff));
+        }
+    });
+    console.log();
+}
+
+// Flushes every changed file and the planned directories to `root`, all at once
+async function writeFiles(plan, root) {
+    await Promise.all([...plan.dirs].map(dir => fs.promises.mkdir(path.join(root, dir), { recursive: true })));
+    await Promise.all(plan.changedFiles().map(async ([filePath, file]) => {
+        const target = path.join(root, filePath);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await fs.promises.writeFile(target, file.content);
+    }));
+}
+
+/**
+ * Runs every step of the plan against `root`, throwing a StepError on the
+ * first failure. The reporter shows progress and records each step.
+ */
+export async function executePlan(plan, root, reporter = new Reporter()) {
+    for (const [index, step] of plan.steps.entries()) {
+        const run = await reporter.step(
+            step.title,
+            async onOutput => {
+                if (step.type === "command") await spawnCommand(step.args, { cwd: path.resolve(root, step.cwd), onOutput });
+                else await writeFiles(plan, root);
+            },
+            { label: `[${index + 1}/${plan.steps.length}] `, command: step.command }
+        );
+        reporter.steps.push(run);
+        if (run.status === "failed") throw new StepError(step, index, run.error);
+    }
+}
+
+// Lists which steps finished, which one failed and which never ran, with the output the reporter held back
+export function printFailureReport(plan, error, reporter = new Reporter()) {
+    reporter.error(chalk.red(`\n❌ Setup failed at step ${error.index + 1} of ${plan.steps.length}: ${error.step.title}`));
+    if (error.step.command) reporter.error(chalk.gray(`   $ ${error.step.command}`));
+    reporter.error(chalk.red(`   ${error.cause.message.split("\n")[0]}\n`));
+
+    plan.steps.forEach((step, index) => {
+        if (index < error.index) reporter.error(`  ${chalk.green("✔")} ${step.title}`);
+        else if (index === error.index) reporter.error(`  ${chalk.red("✖")} ${step.title}`);
+        else reporter.error(chalk.gray(`  · ${step.title} (skipped)`));
+    });
+
+    const output = reporter.mode === "quiet" && reporter.steps[error.index]?.output;
+    if (output) {
+        const { omitted, text } = tail(output);
+        reporter.error(chalk.red(`\n── Output of ${error.step.title.replace(/\.\.\.$/, "")} ──`));
+        if (omitted) reporter.error(chalk.gray(`… ${omitted} earlier lines omitted`));
+        reporter.error(text);
+    }
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { UsageError } from "./errors.js";
+import { registerFeature } from "./features/index.js";
+
+const CLI_ROOT = fileURLToPath(new URL("..", import.meta.url));
+const PLUGIN_PACKAGE = /^(@[^/]+\/)?sparkvite-plugin-/;
+
+// node_modules directories Node would search from `dir`, nearest first
+function nodeModulesDirs(dir) {
+    const dirs = [];
+    for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+        const candidate = path.join(current, "node_modules");
+        if (fs.existsSync(candidate)) dirs.push(candidate);
+        if (path.dirname(current) === current) return dirs;
+    }
+}
+
+// The project's dependencies first, then packages installed next to the CLI (globally or by npx)
+const searchDirs = () => [...new Set([...nodeModulesDirs(process.cwd()), ...nodeModulesDirs(CLI_ROOT)])];
+
+// Package names in a node_modules directory, including scoped ones
+function packagesIn(nodeModules) {
+    return fs.readdirSync(nodeModules).flatMap(entry => {
+        if (!entry.startsWith("@")) return [entry];
+        const scope = path.join(nodeModules, entry);
+        return fs.statSync(scope).isDirectory() ? fs.readdirSync(scope).map(name => `${entry}/${name}`) : [];
+    });
+}
+
+// The ESM entry of a package directory: exports["."] (import or default condition), then main
+function packageEntry(dir) {
+    const pkgPath = path.join(dir, "package.json");
+    if (!fs.existsSync(pkgPath)) return path.join(dir, "index.js");
+
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf-8"));
+    let entry = typeof pkg.exports === "object" && pkg.exports !== null && "." in pkg.exports ? pkg.exports["."] : pkg.exports;
+    if (entry && typeof entry === "object") entry = entry.import ?? entry.default;
+    return path.join(dir, typeof entry === "string" ? entry : pkg.main ?? "index.js");
+}
+
+/** Installed `sparkvite-plugin-*` and `@scope/sparkvite-plugin-*` packages, as name -> package directory */
+export function discoverPlugins() {
+    const found = new Map();
+    for (const nodeModules of searchDirs()) {
+        for (const name of packagesIn(nodeModules)) {
+            if (PLUGIN_PACKAGE.test(name) && !found.has(name)) found.set(name, path.join(nodeModules, name));
+        }
+    }
+    return found;
+}
+
+// A plugin listed in a preset: a path relative to the preset file, or an installed package name
+function resolvePresetPlugin(spec, presetDir) {
+    if (spec.startsWith(".") || path.isAbsolute(spec)) {
+        const target = path.resolve(presetDir, spec);
+        if (!fs.existsSync(target)) throw new UsageError(`Plugin ${spec} not found at ${target}`);
+        return fs.statSync(target).isDirectory() ? packageEntry(target) : target;
+    }
+    for (const nodeModules of searchDirs()) {
+        const dir = path.join(nodeModules, spec);
+        if (fs.existsSync(dir)) return packageEntry(dir);
+    }
+    throw new UsageError(`Plugin package ${spec} is not installed`);
+}
+
+// Imports a plugin module and registers the feature (or array of features) it exports by default
+async function loadPlugin(source, entry) {
+    let mod;
+    try {
+        mod = await import(pathToFileURL(entry).href);
+    } catch (error) {
+        throw new UsageError(`Could not load plugin ${source}: ${error.message}`);
+    }
+    const features = [mod.default ?? []].flat();
+    if (!features.length) throw new UsageError(`Plugin ${source} has no default export`);
+    try {
+        for (const feature of features) registerFeature(feature, `Plugin ${source}`);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Registers the features of every installed plugin package, then those listed
+ * in a preset's "plugins" array. A plugin both installed and listed is loaded once.
+ */
+export async function loadPlugins({ presetPlugins = [], presetDir = process.cwd() } = {}) {
+    const entries = new Map();
+    for (const [name, dir] of discoverPlugins()) entries.set(packageEntry(dir), name);
+    for (const spec of presetPlugins) {
+        if (typeof spec !== "string") throw new UsageError(`Preset plugins must be paths or package names (got ${JSON.stringify(spec)})`);
+        const entry = resolvePresetPlugin(spec, presetDir);
+        if (!entries.has(entry)) entries.set(entry, spec);
+    }
+    for (const [entry, source] of entries) await loadPlugin(source, entry);
+}
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import semver from "semver";
+
+// Lockfile each package manager writes, used to detect it in existing projects
+const LOCKFILES = {
+    "pnpm-lock.yaml": "pnpm",
+    "yarn.lock": "yarn",
+    "bun.lock": "bun",
+    "bun.lockb": "bun",
+    "package-lock.json": "npm"
+};
+
+// From the lockfile, else the `packageManager` field of a project that was never installed
+export function detectPackageManager(projectPath) {
+    for (const [lockfile, packageManager] of Object.entries(LOCKFILES)) {
+        if (fs.existsSync(path.join(projectPath, lockfile))) return packageManager;
+    }
+    return readPinnedPackageManager(projectPath).name ?? detectInvokingPackageManager() ?? "npm";
+}
+
+// Installs what package.json lists. pnpm would refuse to update the lockfile when CI is set
+export function getInstallArgs(packageManager) {
+    return packageManager === "pnpm" ? ["pnpm", "install", "--no-frozen-lockfile"] : [packageManager, "install"];
+}
+
+// run script prefix
+export function getRunScriptCmd(packageManager) {
+    return packageManager === "npm" ? "npm run" : packageManager;
+}
+
+// "lint", "--fix" -> "npm run lint -- --fix", "pnpm lint --fix", ...
+export function getRunScriptWithArgsCmd(packageManager, script, args) {
+    const separator = packageManager === "npm" ? " --" : "";
+    return `${getRunScriptCmd(packageManager)} ${script}${separator} ${args}`;
+}
+
+// "build", ["--run"] -> ["npm", "run", "build", "--", "--run"], ["pnpm", "build", "--run"], ...
+export function getRunScriptArgs(packageManager, script, args = []) {
+    if (packageManager !== "npm") return [packageManager, script, ...args];
+    return ["npm", "run", script, ...(args.length ? ["--", ...args] : [])];
+}
+
+// Runs a binary of the project's own dependencies: npx, pnpm exec, yarn, bun x
+export function getExecArgs(packageManager, bin, args = []) {
+    const runner = { npm: ["npx"], pnpm: ["pnpm", "exec"], yarn: ["yarn"], bun: ["bun", "x"] }[packageManager];
+    return [...runner, bin, ...args];
+}
+
+/**
+ * The package manager that started the CLI (`pnpm create sparkvite`, `bunx
+ * create-sparkvite`, ...), read from the user agent it passes to scripts:
+ * "pnpm/9.12.0 npm/? node/v22.11.0 linux x64". Undefined when run directly.
+ */
+export function detectInvokingPackageManager(userAgent = process.env.npm_config_user_agent) {
+    const name = userAgent?.split("/")[0];
+    return Object.values(LOCKFILES).includes(name) ? name : undefined;
+}
+
+// Lockfile a package manager writes (bun.lock for bun 1.2+)
+export function getLockfile(packageManager) {
+    return Object.keys(LOCKFILES).find(lockfile => LOCKFILES[lockfile] === packageManager);
+}
+
+// Installs exactly what the lockfile lists, failing if it is out of date (CI and Docker builds).
+// Yarn 2 and later call it --immutable; an unknown Yarn version gets the Yarn 1 flag
+export function getCiInstallCmd(packageManager, version) {
+    if (packageManager === "npm") return "npm ci";
+    if (packageManager === "yarn" && version && semver.major(version) >= 2) return "yarn install --immutable";
+    return `${packageManager} install --frozen-lockfile`;
+}
+
+// The `packageManager` field of package.json: "yarn@4.9.2+sha512..." -> { name: "yarn", version: "4.9.2" }
+function readPinnedPackageManager(projectPath) {
+    const pkgPath = path.join(projectPath, "package.json");
+    if (!fs.existsSync(pkgPath)) return {};
+    const [name, version] = String(JSON.parse(fs.readFileSync(pkgPath, "utf-8")).packageManager ?? "").split("@");
+    if (!Object.values(LOCKFILES).includes(name)) return {};
+    return { name, version: semver.valid(version?.split("+")[0]) ?? undefined };
+}
+
+/** The version of `packageManager` the project pins in package.json, or undefined */
+export function getPinnedVersion(projectPath, packageManager) {
+    const pinned = readPinnedPackageManager(projectPath);
+    return pinned.name === packageManager ? pinned.version : undefined;
+}
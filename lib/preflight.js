@@ -0,0 +1,155 @@
+import fs from "fs";
+import path from "path";
+import inquirer from "inquirer";
+import semver from "semver";
+import spawn from "cross-spawn";
+import { PreflightError } from "./errors.js";
+import { CHOICES } from "./prompts.js";
+
+const CLI_PACKAGE = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf-8"));
+
+// Oldest versions the generated projects, their lockfiles and scripts work with
+const REQUIREMENTS = {
+    npm: ">=8",
+    pnpm: ">=8",
+    yarn: ">=1.22",
+    // The first version writing the text bun.lock the Dockerfile and CI copy
+    bun: ">=1.2",
+    git: ">=2"
+};
+
+// The root scripts of a --workspace project run `yarn workspaces foreach`, built into Yarn 4
+const WORKSPACE_REQUIREMENTS = { yarn: ">=4" };
+
+// A version check must never hang: Corepack would otherwise ask before downloading pnpm or Yarn
+const CHECK_OPTIONS = { encoding: "utf-8", stdio: "pipe", timeout: 15000, env: { ...process.env, COREPACK_ENABLE_DOWNLOAD_PROMPT: "0" } };
+
+const versions = new Map();
+
+// "9.12.0" for an installed binary, null when it is missing or broken
+function binaryVersion(bin) {
+    if (!versions.has(bin)) {
+        const result = spawn.sync(bin, ["--version"], CHECK_OPTIONS);
+        const ok = !result.error && result.status === 0;
+        versions.set(bin, ok ? semver.coerce(result.stdout)?.version ?? "0.0.0" : null);
+    }
+    return versions.get(bin);
+}
+
+/** The installed version of a package manager ("4.9.2"), null when it is missing */
+export function getPackageManagerVersion(packageManager) {
+    return binaryVersion(packageManager);
+}
+
+// What keeps `bin` from being used, or undefined when it is installed and recent enough
+function binaryProblem(bin, range = REQUIREMENTS[bin]) {
+    const version = binaryVersion(bin);
+    if (!version) return `${bin} is not installed`;
+    if (range && !semver.satisfies(version, range)) return `${bin} ${version} is too old (${range} is required)`;
+    return undefined;
+}
+
+const packageManagerRange = (packageManager, answers) =>
+    (answers.workspace && WORKSPACE_REQUIREMENTS[packageManager]) || REQUIREMENTS[packageManager];
+
+/** Fails unless the running Node.js satisfies the CLI's `engines.node` */
+export function checkNodeVersion(version = process.version) {
+    const range = CLI_PACKAGE.engines.node;
+    if (!semver.satisfies(version, range, { includePrerelease: true })) {
+        throw new PreflightError(`Node.js ${range} is required, but this is ${version}.`);
+    }
+}
+
+/**
+ * Makes sure the chosen package manager is installed and recent enough. When
+ * it is not, other installed package managers are offered instead; without
+ * prompts (--yes or `add`) they are only listed in the error.
+ */
+export async function checkPackageManager(answers, { interactive }) {
+    const problem = binaryProblem(answers.packageManager, packageManagerRange(answers.packageManager, answers));
+    if (!problem) return answers;
+
+    const alternatives = CHOICES.packageManager
+        .map(choice => choice.value)
+        .filter(packageManager => packageManager !== answers.packageManager && !binaryProblem(packageManager, packageManagerRange(packageManager, answers)));
+    if (interactive && alternatives.length) {
+        const { packageManager } = await inquirer.prompt({
+            type: "list",
+            name: "packageManager",
+            message: `${problem}. Use another package manager?`,
+            choices: alternatives
+        });
+        return { ...answers, packageManager };
+    }
+
+    const hints = [];
+    if (alternatives.length) hints.push(`Installed alternatives: ${alternatives.join(", ")} (pass --pm <name>).`);
+    if (answers.packageManager !== "npm" && answers.packageManager !== "bun" && binaryVersion("corepack")) {
+        hints.push(`Run \`corepack enable\` to get ${answers.packageManager}.`);
+    }
+    throw new PreflightError([`${problem}.`, ...hints].join(" "));
+}
+
+// The initial commit fails without an author, after the whole project was installed.
+// `git var` resolves the committer the way `git commit` does, environment variables included.
+function gitProblem() {
+    const problem = binaryProblem("git");
+    if (problem) return problem;
+    if (spawn.sync("git", ["var", "GIT_COMMITTER_IDENT"], CHECK_OPTIONS).status !== 0) {
+        return "Git has no user.name and user.email to commit with";
+    }
+    return undefined;
+}
+
+/**
+ * With Git enabled, checks that the initial commit can be made. The
+ * alternative is a project without a repository: asked for when prompting,
+ * otherwise applied with a warning through `reporter`.
+ */
+export async function checkGit(answers, { interactive, reporter }) {
+    const problem = answers.git ? gitProblem() : undefined;
+    if (!problem) return answers;
+
+    if (interactive) {
+        const { skip } = await inquirer.prompt({
+            type: "confirm",
+            name: "skip",
+            message: `${problem}. Continue without initializing a Git repository?`,
+            default: true
+        });
+        if (!skip) throw new PreflightError(`${problem}.`);
+    } else {
+        reporter.warn(`${problem}; skipping the Git repository.`);
+    }
+    return { ...answers, git: false };
+}
+
+/** Fails unless files can be created in the existing directory `dir` */
+export function checkWritable(dir) {
+    try {
+        fs.accessSync(dir, fs.constants.W_OK | fs.constants.X_OK);
+    } catch {
+        throw new PreflightError(`No permission to write to ${dir}.`);
+    }
+}
+
+/**
+ * Checks where a new project goes: the project is generated in a staging
+ * directory next to `projectPath` and renamed into place, so its parent must
+ * be writable and an existing `projectPath` must be a directory.
+ */
+export function checkTargetDir(projectPath) {
+    if (fs.existsSync(projectPath) && !fs.statSync(projectPath).isDirectory()) {
+        throw new PreflightError(`${projectPath} exists and is not a directory.`);
+    }
+    checkWritable(path.dirname(projectPath));
+}
+
+/** Fails before anything runs if a program the plan's commands need is not installed */
+export function checkCommands(plan) {
+    for (const bin of plan.binaries()) {
+        if (binaryVersion(bin)) continue;
+        const step = plan.steps.find(other => other.args?.[0] === bin);
+        throw new PreflightError(`${bin} is not installed, but "${step.title.replace(/\.\.\.$/, "")}" needs it.`);
+    }
+}
@@ -0,0 +1,251 @@
+import inquirer from "inquirer";
+import { UsageError } from "./errors.js";
+import { detectInvokingPackageManager } from "./pm.js";
+
+// Allowed values for every list prompt. `aliases` are the short spellings
+// accepted from CLI flags and preset files (matched case-insensitively).
+// Features add their own choices with addChoice (ShadCN UI, Redux, ...). A
+// choice with `when(answers)` is only offered when that returns true; a string
+// it returns instead explains why not.
+export const CHOICES = {
+    packageManager: [
+        { value: "npm", aliases: ["npm"] },
+        { value: "yarn", aliases: ["yarn"] },
+        { value: "pnpm", aliases: ["pnpm"] },
+        { value: "bun", aliases: ["bun"] }
+    ],
+    language: [
+        { value: "JavaScript", aliases: ["js", "javascript"] },
+        { value: "TypeScript", aliases: ["ts", "typescript"] }
+    ],
+    uiLibrary: [{ value: "None", aliases: ["none"] }],
+    theme: [{ value: "None", aliases: ["none"] }],
+    stateManagement: [{ value: "None", aliases: ["none"] }],
+    dataFetching: [{ value: "None", aliases: ["none"] }],
+    routerMode: [],
+    deployTarget: [{ value: "None", aliases: ["none"] }]
+};
+
+// Yes/no prompts
+export const TOGGLES = ["workspace", "testing", "linting", "git", "router", "pwa"];
+
+export function validateProjectName(input) {
+    if (!input) return "Project name cannot be empty";
+    if (!/^[a-zA-Z0-9_-]+$/.test(input)) return "Project name must be a valid npm package name";
+    return true;
+}
+
+// Resolved when the prompt is shown, so choices added by features are included
+const listChoices = name => answers =>
+    CHOICES[name].filter(choice => !choice.when || choice.when(answers) === true).map(choice => choice.value);
+
+export const questions = [
+    {
+        name: "projectName",
+        type: "input",
+        message: "📦 Project name:",
+        validate: validateProjectName
+    },
+    {
+        name: "packageManager",
+        type: "list",
+        message: "📦 Choose a package manager:",
+        choices: listChoices("packageManager"),
+        // The one running `pnpm create sparkvite`, `yarn create sparkvite`, ...
+        default: detectInvokingPackageManager() ?? "npm"
+    },
+    {
+        name: "workspace",
+        type: "confirm",
+        message: "🗂️ Create a workspace (apps/web plus shared packages)?",
+        default: false
+    },
+    {
+        name: "language",
+        type: "list",
+        message: "🔤 Choose a language:",
+        choices: listChoices("language"),
+        default: "TypeScript"
+    },
+    {
+        name: "uiLibrary",
+        type: "list",
+        message: "🎨 Choose a UI library:",
+        choices: listChoices("uiLibrary"),
+        default: "None"
+    },
+    {
+        name: "theme",
+        type: "list",
+        message: "🌗 Choose a theme preset (light and dark mode):",
+        choices: listChoices("theme"),
+        default: "None"
+    },
+    {
+        name: "stateManagement",
+        type: "list",
+        message: "🧠 Choose state management:",
+        choices: listChoices("stateManagement"),
+        default: "None"
+    },
+    {
+        name: "dataFetching",
+        type: "list",
+        message: "🌐 Choose a data fetching library:",
+        choices: listChoices("dataFetching"),
+        default: "None"
+    },
+    {
+        name: "testing",
+        type: "confirm",
+        message: "🧪 Setup testing with Vitest?",
+        default: true
+    },
+    {
+        name: "linting",
+        type: "confirm",
+        message: "🔍 Setup linting with ESLint & Prettier?",
+        default: true
+    },
+    {
+        name: "git",
+        type: "confirm",
+        message: "📡 Initialize Git repository?",
+        default: true
+    },
+    {
+        name: "router",
+        type: "confirm",
+        message: "🔗 Setup routing?",
+        default: true
+    },
+    {
+        name: "routerMode",
+        type: "list",
+        message: "🧭 Choose a router:",
+        choices: listChoices("routerMode"),
+        default: "BrowserRouter",
+        when: answers => answers.router
+    },
+    {
+        name: "pwa",
+        type: "confirm",
+        message: "📱 Add PWA support?",
+        default: false
+    },
+    {
+        name: "deployTarget",
+        type: "list",
+        message: "🚀 Choose a deploy target:",
+        choices: listChoices("deployTarget"),
+        default: "None"
+    }
+];
+
+// Prompts added by plugins, by name
+const pluginQuestions = new Map();
+
+/**
+ * Adds an option to a list prompt, e.g. a UI library. `aliases` default to
+ * the lowercased value.
+ */
+export function addChoice(question, { value, aliases = [value.toLowerCase()], when }) {
+    if (!CHOICES[question]) throw new Error(`Unknown prompt "${question}"`);
+    if (CHOICES[question].some(choice => choice.value === value)) {
+        throw new Error(`Prompt "${question}" already has a "${value}" choice`);
+    }
+    CHOICES[question].push({ value, aliases, when });
+}
+
+/**
+ * Adds a plugin prompt (an inquirer question) after the built-in ones. Its
+ * answer can also come from a preset, validated like the built-in answers.
+ */
+export function addQuestion(question) {
+    if (questions.some(other => other.name === question.name)) {
+        throw new Error(`A prompt named "${question.name}" already exists`);
+    }
+    if (question.type === "list" || question.type === "rawlist") {
+        CHOICES[question.name] = question.choices.map(choice => {
+            const value = String(choice.value ?? choice);
+            return { value, aliases: [value.toLowerCase()] };
+        });
+    }
+    pluginQuestions.set(question.name, question);
+    questions.push(question);
+}
+
+/**
+ * Validates answers coming from flags or a preset and maps short aliases
+ * ("ts", "shadcn", "redux") to the values the prompts would have produced.
+ * `source` names where the answers came from, for error messages.
+ */
+export function normalizeAnswers(raw, source) {
+    const answers = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (value === undefined) continue;
+
+        if (key === "projectName") {
+            const valid = validateProjectName(value);
+            if (valid !== true) throw new UsageError(`${source}: ${valid} (got "${value}")`);
+            answers.projectName = value;
+        } else if (CHOICES[key]) {
+            const wanted = String(value).toLowerCase();
+            const match = CHOICES[key].find(
+                choice => choice.value.toLowerCase() === wanted || choice.aliases.includes(wanted)
+            );
+            if (!match) {
+                const allowed = CHOICES[key].map(choice => choice.aliases[0]).join(", ");
+                throw new UsageError(`${source}: invalid ${key} "${value}". Allowed choices: ${allowed}`);
+            }
+            answers[key] = match.value;
+        } else if (TOGGLES.includes(key)) {
+            if (typeof value !== "boolean") {
+                throw new UsageError(`${source}: ${key} must be true or false (got ${JSON.stringify(value)})`);
+            }
+            answers[key] = value;
+        } else if (pluginQuestions.has(key)) {
+            if (pluginQuestions.get(key).type === "confirm" && typeof value !== "boolean") {
+                throw new UsageError(`${source}: ${key} must be true or false (got ${JSON.stringify(value)})`);
+            }
+            answers[key] = value;
+        } else {
+            const known = [...new Set(["projectName", ...Object.keys(CHOICES), ...TOGGLES, ...pluginQuestions.keys()])].join(", ");
+            throw new UsageError(`${source}: unknown option "${key}". Known options: ${known}`);
+        }
+    }
+    return answers;
+}
+
+// Rejects choices that flags or a preset picked although their `when` rules them out
+function checkChoices(answers) {
+    for (const [name, choices] of Object.entries(CHOICES)) {
+        const choice = choices.find(option => option.value === answers[name]);
+        const available = choice?.when ? choice.when(answers) : true;
+        if (available !== true) {
+            throw new UsageError(typeof available === "string" ? available : `${choice.value} is not available with these answers`);
+        }
+    }
+    return answers;
+}
+
+/**
+ * Prompts only for what is still missing from `provided`. With `useDefaults`
+ * nothing is prompted at all: missing answers take the prompt defaults,
+ * except for questions whose `when` skips them (no router mode without routing).
+ */
+export async function resolveAnswers(provided, { useDefaults = false } = {}) {
+    if (!useDefaults) {
+        return checkChoices(await inquirer.prompt(questions, provided));
+    }
+
+    if (!provided.projectName) {
+        throw new UsageError("A project name is required when using --yes");
+    }
+    const answers = { ...provided };
+    for (const question of questions) {
+        if (answers[question.name] !== undefined || (question.when && !question.when(answers))) continue;
+        answers[question.name] = question.default;
+    }
+    return checkChoices(answers);
+}
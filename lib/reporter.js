@@ -0,0 +1,192 @@
+import fs from "fs";
+import path from "path";
+import ora from "ora";
+import chalk from "chalk";
+
+// How many lines of a failed step's captured output are shown and reported
+export const OUTPUT_TAIL = 30;
+
+export const tail = output => {
+    const lines = output.trimEnd().split("\n");
+    return { omitted: Math.max(0, lines.length - OUTPUT_TAIL), text: lines.slice(-OUTPUT_TAIL).join("\n") };
+};
+
+export const seconds = ms => `${(ms / 1000).toFixed(1)}s`;
+
+// Prefixes every complete line of streamed output; the rest waits for its newline
+function lineWriter(prefix) {
+    let pending = "";
+    return {
+        write(chunk) {
+            const lines = (pending + chunk).split(/\r?\n/);
+            pending = lines.pop();
+            for (const line of lines) process.stdout.write(`${prefix}${line}\n`);
+        },
+        flush() {
+            if (pending) process.stdout.write(`${prefix}${pending}\n`);
+            pending = "";
+        }
+    };
+}
+
+/**
+ * Where the CLI's progress goes, in one of four modes:
+ *
+ * - "default": a spinner per step; commands write to the terminal themselves,
+ *   with no spinner running over their output
+ * - "quiet": spinners only; command output is captured and shown on failure
+ * - "verbose": command output streamed line by line behind its step number,
+ *   every step timed
+ * - "json": nothing but the final report (see buildReport) on stdout
+ *
+ * It also records every step it runs, for that report.
+ */
+export class Reporter {
+    constructor(mode = "default") {
+        this.mode = mode;
+        this.steps = [];
+        this.warnings = [];
+        this.startedAt = Date.now();
+    }
+
+    get json() {
+        return this.mode === "json";
+    }
+
+    log(...args) {
+        if (!this.json) console.log(...args);
+    }
+
+    error(...args) {
+        if (!this.json) console.error(...args);
+    }
+
+    warn(message) {
+        this.warnings.push(message);
+        this.log(chalk.yellow(`⚠️  ${message}`));
+    }
+
+    // Aligned "key  value" rows under a heading
+    summary(heading, rows) {
+        const width = Math.max(...Object.keys(rows).map(key => key.length));
+        this.log(chalk.magenta(`\n${heading}`));
+        for (const [key, value] of Object.entries(rows)) this.log(`  ${key.padEnd(width)}  ${chalk.cyan(value)}`);
+    }
+
+    // Where the time went: building the plan in memory, then every step that ran
+    timings(planMs) {
+        const rows = { "Generating files in memory": seconds(planMs) };
+        for (const step of this.steps) rows[step.title.replace(/\.\.\.$/, "")] = seconds(step.durationMs);
+        rows.Total = seconds(Date.now() - this.startedAt);
+        this.summary("Timings:", rows);
+    }
+
+    /**
+     * Runs `task(onOutput)` as a step titled `title`. `onOutput` receives the
+     * output of a command the task spawns; it is undefined when the command
+     * should write to the terminal directly (default mode, unless `capture`).
+     * Resolves to `{ title, status, durationMs, exitCode, output, error }`
+     * without ever rejecting: status is "success" or "failed". `label` ("[2/7] ")
+     * marks the step and its output lines in verbose mode.
+     */
+    async step(title, task, { label: verboseLabel = "", command, capture = false } = {}) {
+        const startedAt = Date.now();
+        const label = this.mode === "verbose" ? verboseLabel : "";
+        let output = "";
+        let onOutput;
+        let spinner;
+        let stream;
+
+        if (this.mode === "verbose") {
+            this.log(`${chalk.cyan(`${label}▶ ${title}`)}${command ? chalk.gray(`  $ ${command}`) : ""}`);
+            stream = lineWriter(chalk.gray(`${label}│ `));
+            onOutput = chunk => {
+                output += chunk;
+                stream.write(chunk);
+            };
+        } else {
+            if (this.mode === "default" && command && !capture) {
+                this.log(chalk.cyan(`${label}${title}`));
+            } else if (!this.json) {
+                spinner = ora(chalk.cyan(`${label}${title}`)).start();
+            }
+            if (this.mode !== "default" || capture) onOutput = chunk => { output += chunk; };
+        }
+
+        let error;
+        try {
+            await task(onOutput);
+        } catch (caught) {
+            error = caught;
+        }
+        stream?.flush();
+
+        const durationMs = Date.now() - startedAt;
+        const timing = chalk.gray(` (${seconds(durationMs)})`);
+        const text = `${label}${title.replace(/\.\.\.$/, "")}`;
+        if (spinner && !error) spinner.succeed(chalk.green(text) + timing);
+        else if (spinner) spinner.fail(chalk.red(text) + timing);
+        else if (!error) this.log(`${chalk.green(`✔ ${text}`)}${timing}`);
+        else this.log(`${chalk.red(`✖ ${text}`)}${timing}`);
+
+        return { title, status: error ? "failed" : "success", durationMs, exitCode: error?.exitCode ?? (error ? null : 0), output, error };
+    }
+}
+
+// Version of every dependency in the project's package.json, as installed
+function installedVersions(projectPath, appPath) {
+    const pkg = JSON.parse(fs.readFileSync(path.join(appPath, "package.json"), "utf-8"));
+    const versions = {};
+    for (const name of Object.keys({ ...pkg.dependencies, ...pkg.devDependencies }).sort()) {
+        // Hoisted to the workspace root or linked into the app's own node_modules
+        for (const dir of [appPath, projectPath]) {
+            const installed = path.join(dir, "node_modules", name, "package.json");
+            if (fs.existsSync(installed)) {
+                versions[name] = JSON.parse(fs.readFileSync(installed, "utf-8")).version;
+                break;
+            }
+        }
+    }
+    return versions;
+}
+
+/**
+ * The --json result of a scaffold: the answers, every plan step with its
+ * status ("success", "failed" or "skipped"), duration and exit code, the time
+ * spent generating the plan, the files created, installed package versions
+ * and the commands to run next. A failed step carries the end of its output.
+ */
+export function buildReport({ reporter, plan, answers, projectPath, appDir = ".", planMs, nextSteps, verification, error }) {
+    const steps = plan.steps.map((step, index) => {
+        const run = reporter.steps[index];
+        const report = { title: step.title, type: step.type, command: step.command, cwd: step.cwd };
+        if (!run) return { ...report, status: "skipped" };
+        return {
+            ...report,
+            status: run.status,
+            durationMs: run.durationMs,
+            ...(step.type === "command" && { exitCode: run.exitCode }),
+            ...(run.status === "failed" && { error: run.error.message, output: tail(run.output).text })
+        };
+    });
+    const created = !error && fs.existsSync(path.join(projectPath, appDir, "package.json"));
+
+    return {
+        status: error || verification?.some(result => !result.ok) ? "failed" : "success",
+        ...(error && { error: error.message }),
+        projectName: answers.projectName,
+        projectPath,
+        durationMs: Date.now() - reporter.startedAt,
+        // Building the plan in memory, before any step ran
+        planMs,
+        answers,
+        steps,
+        files: created ? plan.fileChanges().map(change => change.path) : [],
+        packages: created ? installedVersions(projectPath, path.join(projectPath, appDir)) : {},
+        ...(verification && {
+            verification: verification.map(({ name, command, ok, duration }) => ({ name, command, status: ok ? "success" : "failed", durationMs: duration }))
+        }),
+        warnings: [...plan.notes, ...reporter.warnings],
+        nextSteps: created ? nextSteps : []
+    };
+}
@@ -0,0 +1,41 @@
+import fs from "fs";
+import path from "path";
+
+// Staging and backup directories live next to the project so the final
+// renames never cross filesystems and stay atomic.
+const siblingPath = (projectPath, suffix) =>
+    path.join(path.dirname(projectPath), `.${path.basename(projectPath)}.${suffix}-${process.pid}-${Date.now()}`);
+
+// Creates the empty directory the project is generated into
+export function createStagingDir(projectPath) {
+    const stagingPath = siblingPath(projectPath, "sparkvite-staging");
+    fs.mkdirSync(stagingPath, { recursive: true });
+    return stagingPath;
+}
+
+/**
+ * Moves a finished staging directory to `projectPath`. An existing directory
+ * there is renamed to a backup first and only deleted once the new project is
+ * in place; if the swap fails, the backup is moved back.
+ */
+export function promoteStagingDir(stagingPath, projectPath) {
+    if (!fs.existsSync(projectPath)) {
+        fs.renameSync(stagingPath, projectPath);
+        return;
+    }
+
+    const backupPath = siblingPath(projectPath, "sparkvite-backup");
+    fs.renameSync(projectPath, backupPath);
+    try {
+        fs.renameSync(stagingPath, projectPath);
+    } catch (error) {
+        fs.renameSync(backupPath, projectPath);
+        throw error;
+    }
+    fs.rmSync(backupPath, { recursive: true, force: true });
+}
+
+export function discardStagingDir(stagingPath) {
+    // Retried, since an interrupted install may still be writing into it
+    fs.rmSync(stagingPath, { recursive: true, force: true, maxRetries: 5 });
+}
@@ -0,0 +1,81 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const TEMPLATES_DIR = fileURLToPath(new URL("../templates", import.meta.url));
+
+// Copied byte for byte, never rendered
+const BINARY_EXTENSIONS = new Set([".png", ".ico", ".jpg", ".jpeg", ".gif", ".webp", ".woff", ".woff2"]);
+
+// npm strips dotfiles like .gitignore when publishing, so templates store them with an underscore
+const RENAMES = { _gitignore: ".gitignore" };
+
+// Block tags alone on a line swallow that line so they leave no blank lines behind
+const STANDALONE_TAG = /^[ \t]*(<%\s*(?:if\s+!?\w+|else|endif)\s*%>)[ \t]*\r?\n/gm;
+const TAG = /<%(=?)\s*(.*?)\s*%>/g;
+
+/**
+ * Renders a template string. Supports `<%= name %>` for values and
+ * `<% if name %>` / `<% if !name %>` ... `<% else %>` ... `<% endif %>` blocks.
+ * Unknown variable names throw so typos in templates fail loudly.
+ */
+export function renderTemplate(source, vars) {
+    const lookup = name => {
+        if (!(name in vars)) throw new Error(`Unknown template variable "${name}"`);
+        return vars[name];
+    };
+
+    const text = source.replace(STANDALONE_TAG, "$1");
+    const blocks = [];
+    let active = true;
+    let output = "";
+    let last = 0;
+
+    for (const match of text.matchAll(TAG)) {
+        if (active) output += text.slice(last, match.index);
+        last = match.index + match[0].length;
+
+        const [, echo, expr] = match;
+        const condition = expr.match(/^if\s+(!?)(\w+)$/);
+        if (echo) {
+            if (active) output += lookup(expr);
+        } else if (condition) {
+            const value = Boolean(lookup(condition[2])) !== (condition[1] === "!");
+            blocks.push({ parent: active, value });
+            active = active && value;
+        } else if (expr === "else" && blocks.length) {
+            const block = blocks[blocks.length - 1];
+            active = block.parent && !block.value;
+        } else if (expr === "endif" && blocks.length) {
+            active = blocks.pop().parent;
+        } else {
+            throw new Error(`Invalid template tag "${match[0]}"`);
+        }
+    }
+    if (blocks.length) throw new Error("Unclosed <% if %> block in template");
+
+    return output + text.slice(last);
+}
+
+/**
+ * Renders every file under `srcDir` into a Map of project-relative path to
+ * content (a string, or a Buffer for binary files). Nothing touches the disk
+ * so the result can be planned, diffed and written later. A file that renders
+ * to nothing (its whole content inside `<% if name %>`) is left out.
+ */
+export function renderTemplateDir(srcDir, vars, files = new Map(), prefix = "") {
+    for (const entry of fs.readdirSync(srcDir, { withFileTypes: true })) {
+        const srcPath = path.join(srcDir, entry.name);
+        const relPath = path.posix.join(prefix, RENAMES[entry.name] ?? entry.name);
+
+        if (entry.isDirectory()) {
+            renderTemplateDir(srcPath, vars, files, relPath);
+        } else if (BINARY_EXTENSIONS.has(path.extname(entry.name))) {
+            files.set(relPath, fs.readFileSync(srcPath));
+        } else {
+            const content = renderTemplate(fs.readFileSync(srcPath, "utf-8"), vars);
+            if (content.trim()) files.set(relPath, content);
+        }
+    }
+    return files;
+}
@@ -0,0 +1,386 @@
+import { parse } from "@babel/parser";
+import { ConflictError } from "./errors.js";
+
+// Structural edits for vite.config.{js,ts} and main.{jsx,tsx}. Files are
+// parsed with Babel to find the exact nodes to change, then edited in place
+// by position, so everything outside the inserted code stays byte for byte
+// what the user wrote. New code follows the file's indentation, quote and
+// semicolon style. Every helper is a no-op when its change is already there
+// and throws a ConflictError when the code has a shape it cannot patch.
+
+const SKIPPED_KEYS = new Set(["loc", "extra", "leadingComments", "trailingComments", "innerComments"]);
+
+function parseModule(code) {
+    try {
+        return parse(code, { sourceType: "module", plugins: ["jsx", "typescript"] });
+    } catch (error) {
+        throw new ConflictError(`could not parse the file (${error.message})`);
+    }
+}
+
+// Depth-first walk over every AST node; returning false from `visit` skips the children
+function walk(node, visit) {
+    if (!node || typeof node.type !== "string") return;
+    if (visit(node) === false) return;
+    for (const [key, value] of Object.entries(node)) {
+        if (SKIPPED_KEYS.has(key) || !value || typeof value !== "object") continue;
+        if (Array.isArray(value)) value.forEach(child => walk(child, visit));
+        else walk(value, visit);
+    }
+}
+
+// Applies [{ start, end, text }] edits from the last one back so offsets stay valid
+function applyEdits(code, edits) {
+    return [...edits]
+        .sort((a, b) => b.start - a.start)
+        .reduce((result, { start, end = start, text }) => result.slice(0, start) + text + result.slice(end), code);
+}
+
+// Leading whitespace of the line containing `offset`
+function indentAt(code, offset) {
+    const lineStart = code.lastIndexOf("\n", offset - 1) + 1;
+    return code.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+// Quote and semicolon style of the file, taken from its first import
+function codeStyle(ast, code) {
+    const sample = ast.program.body.find(node => node.type === "ImportDeclaration");
+    if (!sample) return { quote: '"', semi: true };
+    return { quote: code[sample.source.start], semi: code[sample.end - 1] === ";" };
+}
+
+function jsxName(name) {
+    if (name.type === "JSXMemberExpression") return `${jsxName(name.object)}.${name.property.name}`;
+    return name.name;
+}
+
+// Edit adding `text` as the last entry of an array or object literal, one per line if the literal is multiline.
+// Lines after the first in `text` are indented relative to the entry.
+function appendEntry(code, node, entries, text) {
+    const present = entries.filter(Boolean);
+    if (!present.length) {
+        const indent = indentAt(code, node.start);
+        return code.slice(node.start, node.end).includes("\n")
+            ? { start: node.start + 1, end: node.end - 1, text: `\n${indent}  ${text.replace(/\n/g, `\n${indent}  `)},\n${indent}` }
+            : { start: node.start + 1, end: node.end - 1, text };
+    }
+
+    const last = present[present.length - 1];
+    if (!code.slice(node.start, node.end).includes("\n")) {
+        return { start: last.end, text: `, ${text}` };
+    }
+    const indent = indentAt(code, present[0].start);
+    text = text.replace(/\n/g, `\n${indent}`);
+    const comma = code.slice(last.end, node.end - 1).match(/^\s*,/);
+    return comma
+        ? { start: last.end + comma[0].length, text: `\n${indent}${text},` }
+        : { start: last.end, text: `,\n${indent}${text}` };
+}
+
+// Inserts an entry right before `next`, an element of `node`, and the comments above it
+function insertEntry(code, node, next, text) {
+    const start = next.leadingComments?.[0].start ?? next.start;
+    if (!code.slice(node.start, node.end).includes("\n")) return { start, text: `${text}, ` };
+    const indent = indentAt(code, start);
+    return { start, text: `${text.replace(/\n/g, `\n${indent}`)},\n${indent}` };
+}
+
+/**
+ * Adds `import defaultImport, { ...named } from "from"`, merging named imports
+ * into an existing import of the same module. Without defaultImport or named
+ * it adds a side-effect import (`import "from"`).
+ */
+export function addImport(code, { from, defaultImport, named = [] }) {
+    const ast = parseModule(code);
+    const imports = ast.program.body.filter(node => node.type === "ImportDeclaration");
+    const existing = imports.find(node => node.source.value === from && node.importKind !== "type" && node.specifiers.length);
+
+    if (existing || (!defaultImport && !named.length && imports.some(node => node.source.value === from))) {
+        if (!existing) return code;
+        const specifiers = existing.specifiers;
+        const defaultSpecifier = specifiers.find(node => node.type === "ImportDefaultSpecifier");
+        if (defaultImport && defaultSpecifier?.local.name !== defaultImport) {
+            throw new ConflictError(`${from} is already imported differently`);
+        }
+
+        const namedSpecifiers = specifiers.filter(node => node.type === "ImportSpecifier");
+        const missing = named.filter(name => !namedSpecifiers.some(node => node.local.name === name));
+        if (!missing.length) return code;
+        if (namedSpecifiers.length) {
+            return applyEdits(code, [{ start: namedSpecifiers[namedSpecifiers.length - 1].end, text: `, ${missing.join(", ")}` }]);
+        }
+        if (!defaultSpecifier) throw new ConflictError(`${from} is already imported as a namespace`);
+        return applyEdits(code, [{ start: defaultSpecifier.end, text: `, { ${missing.join(", ")} }` }]);
+    }
+
+    const { quote, semi } = codeStyle(ast, code);
+    const clause = [defaultImport, named.length && `{ ${named.join(", ")} }`].filter(Boolean).join(", ");
+    const statement = `import ${clause ? `${clause} from ` : ""}${quote}${from}${quote}${semi ? ";" : ""}`;
+    const last = imports[imports.length - 1];
+    return last ? applyEdits(code, [{ start: last.end, text: `\n${statement}` }]) : `${statement}\n${code}`;
+}
+
+// What `export default` exports, following `export default name` to the variable's initializer
+function findDefaultExport(ast) {
+    const exported = ast.program.body.find(node => node.type === "ExportDefaultDeclaration");
+    let node = exported?.declaration;
+    if (node?.type === "Identifier") {
+        const name = node.name;
+        node = undefined;
+        walk(ast.program, child => {
+            if (child.type === "VariableDeclarator" && child.id.name === name) node = child.init;
+            return !node;
+        });
+    }
+    return node;
+}
+
+// The object literal a Vite config exports: `export default defineConfig({...})`,
+// `export default {...}`, a function returning one, or a variable holding any of these
+function findConfigObject(ast) {
+    let node = findDefaultExport(ast);
+    while (node && ["TSAsExpression", "TSSatisfiesExpression", "ParenthesizedExpression"].includes(node.type)) {
+        node = node.expression;
+    }
+    if (node?.type === "CallExpression") node = node.arguments[0];
+    if (node?.type === "ArrowFunctionExpression" || node?.type === "FunctionExpression") {
+        if (node.body.type === "BlockStatement") {
+            node = node.body.body.find(statement => statement.type === "ReturnStatement")?.argument;
+        } else {
+            node = node.body;
+        }
+    }
+    return node?.type === "ObjectExpression" ? node : undefined;
+}
+
+function findProperty(object, key) {
+    return object.properties.find(
+        node => node.type === "ObjectProperty" && (node.key.name === key || node.key.value === key)
+    );
+}
+
+function calleeName(node) {
+    if (node.type === "Identifier") return node.name;
+    if (node.type === "MemberExpression") return `${calleeName(node.object)}.${node.property.name}`;
+    return undefined;
+}
+
+/**
+ * Adds a plugin call (e.g. "VitePWA()") to the `plugins` array of a Vite
+ * config, creating the array if needed, and imports it. Skipped when the
+ * plugin is already called there. `before` names a plugin (e.g. "react") the
+ * call must come before; otherwise it is added last.
+ */
+export function addVitePlugin(code, { call, before, ...importSpec }) {
+    const ast = parseModule(code);
+    const config = findConfigObject(ast);
+    if (!config) throw new ConflictError("could not find the exported Vite config object");
+
+    const callee = call.slice(0, call.indexOf("("));
+    const plugins = findProperty(config, "plugins");
+    if (plugins && plugins.value.type !== "ArrayExpression") {
+        throw new ConflictError("plugins is not an array literal");
+    }
+    if (plugins?.value.elements.some(node => node?.type === "CallExpression" && calleeName(node.callee) === callee)) {
+        return code;
+    }
+
+    const next = before && plugins?.value.elements.find(node => node?.type === "CallExpression" && calleeName(node.callee) === before);
+    let edit;
+    if (next) {
+        edit = insertEntry(code, plugins.value, next, call);
+    } else {
+        edit = plugins
+            ? appendEntry(code, plugins.value, plugins.value.elements, call)
+            : appendEntry(code, config, config.properties, `plugins: [${call}]`);
+    }
+    return addImport(applyEdits(code, [edit]), importSpec);
+}
+
+/**
+ * Adds `key: value` to the exported Vite config object, unless it already
+ * has that key. `value` is source text; multiline values are indented to
+ * match the config.
+ */
+export function addConfigProperty(code, key, value) {
+    const config = findConfigObject(parseModule(code));
+    if (!config) throw new ConflictError("could not find the exported Vite config object");
+    if (findProperty(config, key)) return code;
+    return applyEdits(code, [appendEntry(code, config, config.properties, `${key}: ${value}`)]);
+}
+
+/**
+ * Makes the exported Vite config a function of `{ mode }`, so code inside it
+ * can load env files: `defineConfig({...})` becomes
+ * `defineConfig(({ mode }) => ({...}))`. A config function that does not
+ * destructure its argument cannot be patched.
+ */
+export function addConfigModeParam(code) {
+    let node = findDefaultExport(parseModule(code));
+    while (node && ["TSAsExpression", "TSSatisfiesExpression"].includes(node.type)) node = node.expression;
+    if (node?.type === "CallExpression") node = node.arguments[0];
+
+    if (node?.type === "ObjectExpression") {
+        return applyEdits(code, [{ start: node.start, text: "({ mode }) => (" }, { start: node.end, text: ")" }]);
+    }
+    if (node?.type === "ArrowFunctionExpression" || node?.type === "FunctionExpression") {
+        const [param] = node.params;
+        if (!param) return applyEdits(code, [{ start: code.indexOf("(", node.start) + 1, text: "{ mode }" }]);
+        if (param.type === "ObjectPattern") {
+            if (findProperty(param, "mode")) return code;
+            const last = param.properties[param.properties.length - 1];
+            if (!last) return applyEdits(code, [{ start: param.start + 1, end: param.end - 1, text: " mode " }]);
+            // A rest element has to stay last
+            return last.type === "RestElement"
+                ? applyEdits(code, [{ start: last.start, text: "mode, " }])
+                : applyEdits(code, [{ start: last.end, text: ", mode" }]);
+        }
+        throw new ConflictError("the config function does not destructure { mode } from its argument");
+    }
+    throw new ConflictError("could not find the exported Vite config object");
+}
+
+/** Adds `/// <reference types="..." />` at the top of the file */
+export function addTypeReference(code, types) {
+    const hasReference = parseModule(code).comments.some(comment =>
+        comment.type === "CommentLine" && new RegExp(`^/\\s*<reference\\s+types=["']${types}["']`).test(comment.value)
+    );
+    return hasReference ? code : `/// <reference types="${types}" />\n${code}`;
+}
+
+// The `render(<...>)` call of main.{jsx,tsx}
+function findRenderCall(ast) {
+    let render;
+    walk(ast.program, node => {
+        if (
+            node.type === "CallExpression" &&
+            node.callee.type === "MemberExpression" &&
+            node.callee.property.name === "render" &&
+            ["JSXElement", "JSXFragment"].includes(node.arguments[0]?.type)
+        ) {
+            render = node;
+        }
+        return !render;
+    });
+    return render;
+}
+
+function containsElement(root, component) {
+    let found = false;
+    walk(root, node => {
+        if (node.type === "JSXOpeningElement" && jsxName(node.name) === component) found = true;
+        return !found;
+    });
+    return found;
+}
+
+// The root render() call and what it renders: the children of <StrictMode> when present, else the root element
+function findRenderTargets(ast) {
+    const render = findRenderCall(ast);
+    if (!render) throw new ConflictError("could not find the root render() call");
+
+    const root = render.arguments[0];
+    const isStrictMode = root.type === "JSXElement" &&
+        ["StrictMode", "React.StrictMode"].includes(jsxName(root.openingElement.name));
+    const targets = isStrictMode
+        ? root.children.filter(node => !(node.type === "JSXText" && !node.value.trim()))
+        : [root];
+    if (!targets.length) throw new ConflictError("<StrictMode> renders nothing");
+    return { root, isStrictMode, targets };
+}
+
+/**
+ * Wraps what main.{jsx,tsx} renders (inside <StrictMode> when present) with
+ * a provider: wrapRoot(code, { component: "Provider", props: "store={store}" }).
+ * Providers added later end up outermost. Skipped when already rendered.
+ */
+export function wrapRoot(code, { component, props }) {
+    const { root, targets } = findRenderTargets(parseModule(code));
+    if (containsElement(root, component)) return code;
+
+    const start = targets[0].start;
+    const end = targets[targets.length - 1].end;
+    const indent = indentAt(code, start);
+    const inner = code.slice(start, end).replace(/\n/g, "\n  ");
+    const open = props ? `<${component} ${props}>` : `<${component}>`;
+    return applyEdits(code, [{ start, end, text: `${open}\n${indent}  ${inner}\n${indent}</${component}>` }]);
+}
+
+/**
+ * Renders `element` (e.g. "<ReloadPrompt />") next to the app in
+ * main.{jsx,tsx}: as the last child of <StrictMode>, or in a fragment with the
+ * root element. Skipped when the component is already rendered.
+ */
+export function addRootElement(code, element) {
+    const { root, isStrictMode, targets } = findRenderTargets(parseModule(code));
+    if (containsElement(root, element.match(/^<([\w.]+)/)[1])) return code;
+
+    const indent = indentAt(code, targets[0].start);
+    if (isStrictMode) {
+        return applyEdits(code, [{ start: targets[targets.length - 1].end, text: `\n${indent}${element}` }]);
+    }
+    const inner = code.slice(root.start, root.end).replace(/\n/g, "\n  ");
+    return applyEdits(code, [{ start: root.start, end: root.end, text: `<>\n${indent}  ${inner}\n${indent}  ${element}\n${indent}</>` }]);
+}
+
+/**
+ * Adds a top-level statement right before the one that renders the app, e.g.
+ * `await enableMocking()` so mocks are running before the first request.
+ * `statement` is written without a trailing semicolon.
+ */
+export function addStatementBeforeRender(code, statement) {
+    const ast = parseModule(code);
+    const render = findRenderCall(ast);
+    if (!render) throw new ConflictError("could not find the root render() call");
+
+    const existing = ast.program.body.map(node => code.slice(node.start, node.end).replace(/;$/, ""));
+    if (existing.includes(statement)) return code;
+
+    const target = ast.program.body.find(node => node.start <= render.start && render.end <= node.end);
+    const { semi } = codeStyle(ast, code);
+    return applyEdits(code, [{ start: target.start, text: `${statement}${semi ? ";" : ""}\n\n` }]);
+}
+
+/** Whether the file imports anything from the module `from` or one of its subpaths */
+export function hasImport(code, from) {
+    return parseModule(code).program.body.some(node =>
+        node.type === "ImportDeclaration" && (node.source.value === from || node.source.value.startsWith(`${from}/`))
+    );
+}
+
+/** The local name of the default import of `from` or one of its subpaths, or undefined */
+export function defaultImportName(code, from) {
+    for (const node of parseModule(code).program.body) {
+        if (node.type !== "ImportDeclaration" || (node.source.value !== from && !node.source.value.startsWith(`${from}/`))) continue;
+        const specifier = node.specifiers.find(spec => spec.type === "ImportDefaultSpecifier");
+        if (specifier) return specifier.local.name;
+    }
+    return undefined;
+}
+
+/**
+ * Adds an entry to the config array an ESLint flat config exports:
+ * `export default [...]`, `defineConfig([...])` or `tseslint.config(...)`,
+ * directly or through a variable. `before` names an entry (e.g. "prettier",
+ * which has to stay last) the new one must come before; otherwise it is
+ * appended.
+ */
+export function addFlatConfigEntry(code, entry, { before } = {}) {
+    const node = findDefaultExport(parseModule(code));
+    let list;
+    if (node?.type === "ArrayExpression") {
+        list = { node, entries: node.elements };
+    } else if (node?.type === "CallExpression" && node.arguments.length) {
+        const [first] = node.arguments;
+        list = first?.type === "ArrayExpression" && node.arguments.length === 1
+            ? { node: first, entries: first.elements }
+            : { node, entries: node.arguments };
+    } else {
+        throw new ConflictError("could not find the exported ESLint config array");
+    }
+
+    const name = entryNode => entryNode && calleeName(entryNode.type === "SpreadElement" ? entryNode.argument : entryNode);
+    const next = before && list.entries.find(entryNode => name(entryNode) === before || name(entryNode)?.startsWith(`${before}.`));
+    const edit = next ? insertEntry(code, list.node, next, entry) : appendEntry(code, list.node, list.entries, entry);
+    return applyEdits(code, [edit]);
+}
@@ -0,0 +1,52 @@
+import chalk from "chalk";
+import { formatCommand, spawnCommand } from "./exec.js";
+import { Reporter, seconds, tail } from "./reporter.js";
+
+/**
+ * The checks --verify runs on a generated project, for the scripts its
+ * package.json defines: build, lint, a single test run and, in TypeScript
+ * projects, `typecheck` (tsc --noEmit). A workspace runs them from its root,
+ * whose test script already runs once.
+ */
+export function verificationChecks(ctx, scripts = {}) {
+    const checks = [
+        { name: "build", args: ctx.runScriptArgs("build") },
+        { name: "lint", args: ctx.runScriptArgs("lint") },
+        // `vitest` alone would start watch mode in a terminal
+        { name: "test", args: ctx.runScriptArgs("test", ctx.workspace ? [] : ["--run"]) },
+        { name: "typecheck", args: ctx.runScriptArgs("typecheck") }
+    ];
+    return checks.filter(check => scripts[check.name]).map(check => ({ ...check, command: formatCommand(check.args) }));
+}
+
+// Runs every check, even after a failure, capturing the output instead of printing it (verbose mode streams it too)
+export async function runVerification(projectPath, checks, reporter = new Reporter()) {
+    const results = [];
+    for (const check of checks) {
+        const run = await reporter.step(
+            `🔎 Verifying ${check.name}...`,
+            onOutput => spawnCommand(check.args, { cwd: projectPath, onOutput }),
+            { command: check.command, capture: true }
+        );
+        const ok = run.status === "success";
+        results.push({ ...check, ok, duration: run.durationMs, output: run.output || (ok ? "" : run.error.message) });
+    }
+    return results;
+}
+
+// Pass/fail matrix, followed by the end of the output of every failed check
+export function printVerification(results, reporter = new Reporter()) {
+    const width = Math.max(...results.map(result => result.name.length));
+    reporter.log(chalk.magenta("\nVerification:"));
+    for (const result of results) {
+        const status = result.ok ? chalk.green("✔ pass") : chalk.red("✖ fail");
+        reporter.log(`  ${result.name.padEnd(width)}  ${status}  ${chalk.gray(seconds(result.duration).padStart(6))}  ${chalk.gray(result.command)}`);
+    }
+
+    for (const result of results.filter(result => !result.ok)) {
+        const { omitted, text } = tail(result.output);
+        reporter.log(chalk.red(`\n── ${result.name} (${result.command}) ──`));
+        if (omitted) reporter.log(chalk.gray(`… ${omitted} earlier lines omitted`));
+        reporter.log(text);
+    }
+}
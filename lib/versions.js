@@ -0,0 +1,73 @@
+// Version ranges for every package SparkVite installs on top of the base
+// template. They are caret ranges: a project gets the newest compatible
+// releases at install time, pinned from then on by its own lockfile.
+// Base template versions live in templates/<template>/package.json.
+export const VERSIONS = {
+    // UI
+    "class-variance-authority": "^0.7.1",
+    clsx: "^2.1.1",
+    "tailwind-merge": "^3.3.1",
+    "@radix-ui/react-slot": "^1.2.3",
+    "tw-animate-css": "^1.3.7",
+    "@mantine/core": "^8.2.7",
+    "@mantine/hooks": "^8.2.7",
+    "@mui/material": "^7.3.1",
+    "@emotion/react": "^11.14.0",
+    "@emotion/styled": "^11.14.1",
+    "@chakra-ui/react": "^3.25.0",
+    daisyui: "^5.0.50",
+    "@heroui/react": "^2.8.2",
+    "framer-motion": "^12.23.12",
+
+    // Theme preset fonts
+    "@fontsource-variable/geist": "^5.3.0",
+    "@fontsource-variable/inter": "^5.3.0",
+    "@fontsource-variable/figtree": "^5.3.0",
+    "@fontsource-variable/outfit": "^5.3.0",
+
+    // Routing
+    "react-router-dom": "^7.8.2",
+    "@tanstack/react-router": "^1.131.28",
+    "@tanstack/router-plugin": "^1.131.28",
+    "@tanstack/router-cli": "^1.131.24",
+
+    // State management
+    zustand: "^5.0.8",
+    "@reduxjs/toolkit": "^2.8.2",
+    "react-redux": "^9.2.0",
+    "@types/react-redux": "^7.1.34",
+
+    // Data fetching
+    axios: "^1.11.0",
+    "@tanstack/react-query": "^5.85.5",
+    swr: "^2.3.6",
+    msw: "^2.10.5",
+
+    // Testing
+    vitest: "^3.2.4",
+    "@vitest/coverage-v8": "^3.2.4",
+    "@testing-library/react": "^16.3.0",
+    "@testing-library/dom": "^10.4.1",
+    "@testing-library/jest-dom": "^6.8.0",
+    jsdom: "^26.1.0",
+
+    // Linting
+    prettier: "^3.6.2",
+    "eslint-config-prettier": "^10.1.8",
+    "eslint-plugin-react": "^7.37.5",
+
+    // PWA
+    "vite-plugin-pwa": "^1.0.3",
+    "workbox-window": "^7.3.0",
+    "@vite-pwa/assets-generator": "^1.0.0",
+
+    // Deployment
+    wrangler: "^4.33.1"
+};
+
+// "zustand" -> "zustand@^5.0.8". Specs that already carry a range ("@acme/ui@^2.0.0", from plugins) are kept.
+export function pinned(pkg) {
+    if (/^@?[^@]+@./.test(pkg)) return pkg;
+    if (!VERSIONS[pkg]) throw new Error(`No pinned version for ${pkg}`);
+    return `${pkg}@${VERSIONS[pkg]}`;
+}
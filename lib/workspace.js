@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import { parse } from "jsonc-parser";
+import { TEMPLATES_DIR, renderTemplateDir } from "./template.js";
+import { VERSIONS } from "./versions.js";
+
+// Where the packages of a --workspace project live, relative to its root
+export const APP_DIR = "apps/web";
+const UI_DIR = "packages/ui";
+const ESLINT_CONFIG_DIR = "packages/eslint-config";
+
+// The shared packages and the workspace root seen from the app, for plan.scope() and path aliases
+export const UI_FROM_APP = path.posix.relative(APP_DIR, UI_DIR);
+export const ROOT_FROM_APP = path.posix.relative(APP_DIR, ".");
+
+/**
+ * The package names of a --workspace project: `@<project>/web` for the app,
+ * `@<project>/ui` and `@<project>/eslint-config` for the shared packages.
+ */
+export function createWorkspace(projectName) {
+    const scope = `@${projectName.toLowerCase()}`;
+    return { scope, web: `${scope}/web`, ui: `${scope}/ui`, eslintConfig: `${scope}/eslint-config` };
+}
+
+/**
+ * The workspace an existing app belongs to, for `add` run from apps/web:
+ * recognized by the app's package name and the UI package next to it.
+ */
+export function detectWorkspace(appPath) {
+    const pkgPath = path.join(appPath, "package.json");
+    const name = fs.existsSync(pkgPath) ? parse(fs.readFileSync(pkgPath, "utf-8")).name : undefined;
+    const match = /^@([^/]+)\/web$/.exec(name ?? "");
+    if (!match || !fs.existsSync(path.join(appPath, UI_FROM_APP, "package.json"))) return undefined;
+    return { ...createWorkspace(match[1]), root: path.resolve(appPath, ROOT_FROM_APP) };
+}
+
+// How packages depend on each other: pnpm, yarn and bun link "workspace:*", npm matches "*" to the local package
+const workspaceVersion = packageManager => (packageManager === "npm" ? "*" : "workspace:*");
+
+// `<pm> <script>` for every package that defines the script, and for the app alone
+const RUNNERS = {
+    npm: {
+        all: (script, args) => `npm run ${script} --workspaces --if-present${args ? ` -- ${args}` : ""}`,
+        app: (web, script) => `npm run ${script} -w ${web}`
+    },
+    pnpm: {
+        all: (script, args) => `pnpm -r run ${script}${args ? ` ${args}` : ""}`,
+        app: (web, script) => `pnpm --filter ${web} run ${script}`
+    },
+    yarn: {
+        all: (script, args, scope) => `yarn workspaces foreach -A --include '${scope}/*' run ${script}${args ? ` ${args}` : ""}`,
+        app: (web, script) => `yarn workspace ${web} run ${script}`
+    },
+    bun: {
+        all: (script, args, scope) => `bun run --filter '${scope}/*' ${script}${args ? ` ${args}` : ""}`,
+        app: (web, script) => `bun run --filter ${web} ${script}`
+    }
+};
+
+function rootScripts(ctx) {
+    const { scope, web } = ctx.workspace;
+    const runner = RUNNERS[ctx.packageManager];
+    const scripts = {
+        dev: runner.app(web, "dev"),
+        build: runner.all("build", "", scope),
+        preview: runner.app(web, "preview"),
+        lint: runner.all("lint", "", scope)
+    };
+    if (ctx.isTS) scripts.typecheck = runner.all("typecheck", "", scope);
+    // A single run: watch mode makes no sense across packages
+    if (ctx.vars.useTesting) scripts.test = runner.all("test", "--run", scope);
+    return scripts;
+}
+
+// Template variables of the workspace's own files
+const workspaceVars = ctx => ({
+    ...ctx.vars,
+    webPackage: ctx.workspace.web,
+    eslintConfigPackage: ctx.workspace.eslintConfig,
+    workspaceVersion: workspaceVersion(ctx.packageManager)
+});
+
+/** The files of packages/ui, relative to it; ShadCN UI puts its components there */
+export function renderUiPackage(ctx) {
+    return renderTemplateDir(path.join(TEMPLATES_DIR, "workspace", "ui", ctx.template), workspaceVars(ctx));
+}
+
+/**
+ * Adds the workspace around the app in apps/web: the root package.json with
+ * scripts that run across packages, the shared tsconfig.base.json and
+ * packages/ui, and links the app to them. Call it once the app's own files
+ * are in the plan.
+ */
+export function addWorkspaceFiles(plan, ctx) {
+    const { ui, web, eslintConfig } = ctx.workspace;
+    const version = workspaceVersion(ctx.packageManager);
+
+    plan.addFiles(renderTemplateDir(path.join(TEMPLATES_DIR, "workspace", "root"), workspaceVars(ctx)));
+    if (ctx.packageManager === "pnpm") {
+        plan.writeFile("pnpm-workspace.yaml", `packages:\n  - "apps/*"\n  - "packages/*"\n`);
+    } else {
+        plan.setJson("package.json", ["workspaces"], ["apps/*", "packages/*"]);
+    }
+    if (ctx.packageManager === "yarn") {
+        // Plug'n'Play leaves no node_modules for Vite, TypeScript and the editor to resolve from
+        plan.writeFile(".yarnrc.yml", "nodeLinker: node-modules\n");
+        plan.editFile(".gitignore", code => `${code}\n# Yarn\n.yarn/*\n!.yarn/patches\n!.yarn/plugins\n!.yarn/releases\n`);
+    }
+    for (const [name, command] of Object.entries(rootScripts(ctx))) {
+        plan.setJson("package.json", ["scripts", name], command);
+    }
+    plan.scope(UI_DIR).addFiles(renderUiPackage(ctx));
+
+    const app = plan.scope(APP_DIR);
+    app.setJson("package.json", ["name"], web);
+    app.setJson("package.json", ["dependencies", ui], version);
+    app.setJson("package.json", ["devDependencies", eslintConfig], version);
+}
+
+// "eslint-config-prettier/flat" -> "eslint-config-prettier", "@eslint/js" -> "@eslint/js"
+const packageOf = source => source.split("/").slice(0, source.startsWith("@") ? 2 : 1).join("/");
+
+/**
+ * Moves the app's finished eslint.config.js (after every feature has added
+ * to it) into packages/eslint-config, which the app and packages/ui both
+ * re-export. Its plugins become dependencies of that package.
+ */
+export function shareEslintConfig(plan, ctx) {
+    const app = plan.scope(APP_DIR);
+    const config = app.readFile("eslint.config.js");
+    const appDevDependencies = app.readJson("package.json").devDependencies ?? {};
+
+    const dependencies = {};
+    for (const [, source] of config.matchAll(/from ['"]([^'"]+)['"]/g)) {
+        const name = packageOf(source);
+        if (name !== "eslint") dependencies[name] = appDevDependencies[name] ?? VERSIONS[name] ?? "*";
+    }
+    const pkg = {
+        name: ctx.workspace.eslintConfig,
+        private: true,
+        version: "0.0.0",
+        type: "module",
+        exports: "./index.js",
+        dependencies: Object.fromEntries(Object.entries(dependencies).sort(([a], [b]) => a.localeCompare(b))),
+        peerDependencies: { eslint: appDevDependencies.eslint }
+    };
+    // typescript-eslint loads the app's TypeScript, which a strict package manager only links for a declared peer
+    if (dependencies["typescript-eslint"]) pkg.peerDependencies.typescript = appDevDependencies.typescript;
+    plan.writeFile(`${ESLINT_CONFIG_DIR}/package.json`, JSON.stringify(pkg, null, 2) + "\n");
+    plan.writeFile(`${ESLINT_CONFIG_DIR}/index.js`, config);
+    app.writeFile("eslint.config.js", `export { default } from '${ctx.workspace.eslintConfig}'\n`);
+}
+
+// Path aliases of the app for the UI package, next to "@/*"
+export function uiPaths(ctx) {
+    const src = `${UI_FROM_APP}/src`;
+    return { [ctx.workspace.ui]: [src], [`${ctx.workspace.ui}/*`]: [`${src}/*`] };
+}
@@ -0,0 +1,5 @@
+// Types for the variables in .env (see .env.example)
+interface ImportMetaEnv {
+  readonly VITE_API_URL?: string;
+  readonly VITE_API_MOCKING?: string;
+}
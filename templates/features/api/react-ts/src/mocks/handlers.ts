@@ -0,0 +1,10 @@
+import { http, HttpResponse } from 'msw';
+import type { User } from '@/utils/api';
+
+export const users: User[] = [
+  { id: 1, name: 'Ada Lovelace', email: 'ada@example.com' },
+  { id: 2, name: 'Alan Turing', email: 'alan@example.com' },
+];
+
+// "*/users" matches any origin, so the mocks answer whatever VITE_API_URL points to
+export const handlers = [http.get('*/users', () => HttpResponse.json(users))];
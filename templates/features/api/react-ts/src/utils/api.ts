@@ -0,0 +1,18 @@
+import axios from 'axios';
+
+// Shared HTTP client. VITE_API_URL comes from .env (see .env.example).
+export const api = axios.create({
+  baseURL: import.meta.env.VITE_API_URL,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+export interface User {
+  id: number;
+  name: string;
+  email: string;
+}
+
+export async function fetchUsers(): Promise<User[]> {
+  const { data } = await api.get<User[]>('/users');
+  return data;
+}
@@ -0,0 +1,9 @@
+import { http, HttpResponse } from 'msw';
+
+export const users = [
+  { id: 1, name: 'Ada Lovelace', email: 'ada@example.com' },
+  { id: 2, name: 'Alan Turing', email: 'alan@example.com' },
+];
+
+// "*/users" matches any origin, so the mocks answer whatever VITE_API_URL points to
+export const handlers = [http.get('*/users', () => HttpResponse.json(users))];
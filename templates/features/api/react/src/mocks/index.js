@@ -0,0 +1,7 @@
+// Starts the MSW worker in development so the app runs without a backend.
+// Set VITE_API_MOCKING=false in .env to send requests to VITE_API_URL instead.
+export async function enableMocking() {
+  if (!import.meta.env.DEV || import.meta.env.VITE_API_MOCKING === 'false') return;
+  const { worker } = await import('./browser');
+  await worker.start({ onUnhandledRequest: 'bypass' });
+}
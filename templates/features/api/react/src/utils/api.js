@@ -0,0 +1,13 @@
+import axios from 'axios';
+
+// Shared HTTP client. VITE_API_URL comes from .env (see .env.example).
+export const api = axios.create({
+  baseURL: import.meta.env.VITE_API_URL,
+  headers: { 'Content-Type': 'application/json' },
+});
+
+/** @returns {Promise<Array<{ id: number, name: string, email: string }>>} */
+export async function fetchUsers() {
+  const { data } = await api.get('/users');
+  return data;
+}
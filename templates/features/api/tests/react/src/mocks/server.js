@@ -0,0 +1,5 @@
+import { setupServer } from 'msw/node';
+import { handlers } from './handlers';
+
+// Answers API requests in tests; override a handler for one test with server.use()
+export const server = setupServer(...handlers);
@@ -0,0 +1,13 @@
+import { Button, HStack } from "@chakra-ui/react";
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <HStack>
+        <Button colorPalette="purple">Chakra button</Button>
+        <Button colorPalette="purple" variant="outline">Outline</Button>
+      </HStack>
+    </div>
+  );
+}
@@ -0,0 +1,12 @@
+import { createSystem, defaultConfig } from "@chakra-ui/react";
+
+// Passed to ChakraProvider in main.tsx; see https://chakra-ui.com/docs/theming/customization/overview
+export const system = createSystem(defaultConfig, {
+  theme: {
+    tokens: {
+      colors: {
+        brand: { value: "#646cff" },
+      },
+    },
+  },
+});
@@ -0,0 +1,12 @@
+import { createContext } from 'react';
+
+// App-wide state any component can read, here the signed-in user
+export type User = { name: string };
+
+export type AppContextValue = {
+  user: User | null;
+  signIn: (name: string) => void;
+  signOut: () => void;
+};
+
+export const AppContext = createContext<AppContextValue>({ user: null, signIn: () => {}, signOut: () => {} });
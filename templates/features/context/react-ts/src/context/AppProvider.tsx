@@ -0,0 +1,13 @@
+import { useState, type ReactNode } from 'react';
+import { AppContext, type User } from './AppContext';
+
+export function AppProvider({ children }: { children: ReactNode }) {
+  const [user, setUser] = useState<User | null>(null);
+  const signIn = (name: string) => setUser({ name });
+  const signOut = () => setUser(null);
+  return (
+    <AppContext.Provider value={{ user, signIn, signOut }}>
+      {children}
+    </AppContext.Provider>
+  );
+}
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// App-wide state any component can read, here the signed-in user
+export const AppContext = createContext();
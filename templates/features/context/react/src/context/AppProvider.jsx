@@ -0,0 +1,13 @@
+import { useState } from 'react';
+import { AppContext } from './AppContext';
+
+export function AppProvider({ children }) {
+  const [user, setUser] = useState(null);
+  const signIn = (name) => setUser({ name });
+  const signOut = () => setUser(null);
+  return (
+    <AppContext.Provider value={{ user, signIn, signOut }}>
+      {children}
+    </AppContext.Provider>
+  );
+}
@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { AppProvider } from './AppProvider';
+import { useAppContext } from '@/hooks/useAppContext';
+
+describe('AppProvider', () => {
+  it('shares the signed-in user and lets consumers change it', () => {
+    const { result } = renderHook(() => useAppContext(), { wrapper: AppProvider });
+    expect(result.current.user).toBeNull();
+
+    act(() => result.current.signIn('Ada'));
+    expect(result.current.user).toEqual({ name: 'Ada' });
+
+    act(() => result.current.signOut());
+    expect(result.current.user).toBeNull();
+  });
+});
@@ -0,0 +1,11 @@
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <div className="flex gap-2">
+        <button className="btn btn-primary">DaisyUI button</button>
+        <button className="btn btn-outline">Outline</button>
+      </div>
+    </div>
+  );
+}
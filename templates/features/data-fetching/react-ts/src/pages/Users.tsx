@@ -0,0 +1,19 @@
+import { useUsers } from '@/hooks/useUsers';
+
+// Sample page for the data fetching setup; in development the data comes from the MSW mocks in src/mocks
+export default function Users() {
+  const { data: users, isLoading, error } = useUsers();
+
+  if (isLoading) return <p>Loading users...</p>;
+  if (error) return <p className="text-red-600">Could not load users.</p>;
+
+  return (
+    <ul className="space-y-2">
+      {users?.map((user) => (
+        <li key={user.id}>
+          <span className="font-medium">{user.name}</span> <span className="text-gray-500">{user.email}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
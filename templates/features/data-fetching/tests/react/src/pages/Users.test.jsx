@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { screen } from '@testing-library/react';
+import { http, HttpResponse } from 'msw';
+import { server } from '@/mocks/server';
+import { renderWithProviders } from '@/test/render';
+import Users from './Users';
+
+describe('Users', () => {
+  it('lists the users from the API', async () => {
+    renderWithProviders(<Users />);
+    expect(await screen.findByText('Ada Lovelace')).toBeInTheDocument();
+    expect(screen.getByText('alan@example.com')).toBeInTheDocument();
+  });
+
+  it('shows an error when the request fails', async () => {
+    server.use(http.get('*/users', () => new HttpResponse(null, { status: 500 })));
+    renderWithProviders(<Users />);
+    expect(await screen.findByText(/could not load users/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,12 @@
+import { createBrowserRouter, RouterProvider } from "react-router-dom";
+import { routes } from "@/router";
+
+// BASE_URL is Vite's `base`, so routes still match when the app is served from a subpath
+const router = createBrowserRouter(routes, { basename: import.meta.env.BASE_URL });
+
+// Rendered inside the providers in main, so every page can use them
+function App() {
+  return <RouterProvider router={router} />;
+}
+
+export default App;
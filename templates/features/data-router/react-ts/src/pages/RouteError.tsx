@@ -0,0 +1,19 @@
+import { isRouteErrorResponse, Link, useRouteError } from "react-router-dom";
+
+// The errorElement of the routes: shown when a loader or a page throws
+export default function RouteError() {
+  const error = useRouteError();
+  const message = isRouteErrorResponse(error)
+    ? `${error.status} ${error.statusText}`
+    : error instanceof Error
+      ? error.message
+      : "Unknown error";
+
+  return (
+    <div className="p-6 space-y-2">
+      <h1 className="text-2xl font-bold">Something went wrong</h1>
+      <p className="text-red-600">{message}</p>
+      <Link to="/" className="text-blue-600">Back to the home page</Link>
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import type { ComponentType } from "react";
+import type { RouteObject } from "react-router-dom";
+import MainLayout from "@/layouts/MainLayout";
+import RouteError from "@/pages/RouteError";
+
+// Loads a page module only when its route is visited, so each page is its own chunk
+const page = (load: () => Promise<{ default: ComponentType }>) => async () => ({ Component: (await load()).default });
+
+// App passes these to createBrowserRouter; tests use them with createMemoryRouter
+export const routes: RouteObject[] = [
+  {
+    element: <MainLayout />,
+    // Rendered instead of the page when a loader or a page throws
+    errorElement: <RouteError />,
+    hydrateFallbackElement: <p className="p-6 text-gray-500">Loading…</p>,
+    children: [
+      { index: true, lazy: page(() => import("@/pages/Home")) },
+      {
+        path: "about",
+        // Runs before the page renders; About reads the result with useLoaderData()
+        loader: () => ({ loadedAt: new Date().toLocaleTimeString() }),
+        lazy: page(() => import("@/pages/About")),
+      },
+<% if useApi %>
+      { path: "users", lazy: page(() => import("@/pages/Users")) },
+<% endif %>
+      { path: "*", lazy: page(() => import("@/pages/NotFound")) },
+    ],
+  },
+];
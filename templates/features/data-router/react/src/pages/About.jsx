@@ -0,0 +1,10 @@
+import { useLoaderData } from "react-router-dom";
+
+export default function About() {
+  const { loadedAt } = useLoaderData();
+  return (
+    <p className="text-lg">
+      This is the About page, loaded at {loadedAt}
+    </p>
+  );
+}
@@ -0,0 +1,18 @@
+import { expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { createMemoryRouter, RouterProvider } from 'react-router-dom';
+import About from './About';
+
+it('renders the data from its loader', async () => {
+  const router = createMemoryRouter([
+    {
+      path: '/',
+      loader: () => ({ loadedAt: '12:00:00' }),
+      Component: About,
+      // Rendered while the loader runs
+      hydrateFallbackElement: <p>Loading…</p>,
+    },
+  ]);
+  render(<RouterProvider router={router} />);
+  expect(await screen.findByText('This is the About page, loaded at 12:00:00')).toBeInTheDocument();
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, screen } from '@testing-library/react';
+import { createMemoryRouter, RouterProvider } from 'react-router-dom';
+import { renderWithProviders } from '@/test/render';
+import { routes } from '@/router';
+
+// App renders these routes in a browser router; an in-memory one lets tests choose the starting URL
+function renderAt(path) {
+  const router = createMemoryRouter(routes, { initialEntries: [path] });
+  return renderWithProviders(<RouterProvider router={router} />);
+}
+
+// Pages are lazy, so each one is awaited with findBy* queries
+describe('App routes', () => {
+  it('renders the home page at /', async () => {
+    renderAt('/');
+    expect(await screen.findByRole('heading', { name: 'Welcome to <%= projectName %>' })).toBeInTheDocument();
+  });
+
+  it('navigates to the about page with its loader data', async () => {
+    renderAt('/');
+    fireEvent.click(await screen.findByRole('link', { name: 'About' }));
+    expect(await screen.findByText(/this is the about page, loaded at/i)).toBeInTheDocument();
+  });
+
+  it('shows the not found page for unknown paths', async () => {
+    renderAt('/missing');
+    expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,13 @@
+import { Button } from "@heroui/react";
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <div className="flex gap-2">
+        <Button color="primary">HeroUI button</Button>
+        <Button color="primary" variant="bordered">Bordered</Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,4 @@
+// Tailwind plugin with HeroUI's theme, loaded by the @plugin line in index.css
+import { heroui } from "@heroui/react";
+
+export default heroui();
@@ -0,0 +1,13 @@
+import { Button, Group } from "@mantine/core";
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <Group>
+        <Button>Mantine button</Button>
+        <Button variant="light">Light</Button>
+      </Group>
+    </div>
+  );
+}
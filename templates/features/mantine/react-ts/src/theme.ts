@@ -0,0 +1,6 @@
+import { createTheme } from "@mantine/core";
+
+// Passed to MantineProvider in main.tsx; see https://mantine.dev/theming/theme-object/
+export const theme = createTheme({
+  primaryColor: "indigo",
+});
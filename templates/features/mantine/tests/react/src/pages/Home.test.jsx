@@ -0,0 +1,12 @@
+import { describe, expect, it } from 'vitest';
+import { screen } from '@testing-library/react';
+import { renderWithProviders } from '@/test/render';
+import Home from './Home';
+
+describe('Home', () => {
+  it('renders the Mantine sample', () => {
+    renderWithProviders(<Home />);
+    expect(screen.getByRole('heading', { name: 'Welcome to <%= projectName %>' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Mantine button' })).toBeInTheDocument();
+  });
+});
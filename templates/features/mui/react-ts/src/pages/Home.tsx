@@ -0,0 +1,13 @@
+import { Button, Stack } from "@mui/material";
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <Stack direction="row" spacing={2}>
+        <Button variant="contained">MUI button</Button>
+        <Button variant="outlined">Outlined</Button>
+      </Stack>
+    </div>
+  );
+}
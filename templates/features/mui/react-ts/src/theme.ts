@@ -0,0 +1,8 @@
+import { createTheme } from "@mui/material/styles";
+
+// Passed to ThemeProvider in main.tsx; see https://mui.com/material-ui/customization/theming/
+export const theme = createTheme({
+  palette: {
+    primary: { main: "#646cff" },
+  },
+});
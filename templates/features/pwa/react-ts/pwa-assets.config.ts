@@ -0,0 +1,8 @@
+import { defineConfig, minimal2023Preset } from '@vite-pwa/assets-generator/config';
+
+// Generates the favicon, Apple touch icon and manifest icons from public/favicon.svg.
+// Replace the SVG with your own logo and run the generate-pwa-assets script again.
+export default defineConfig({
+  preset: minimal2023Preset,
+  images: ['public/favicon.svg'],
+});
@@ -0,0 +1,59 @@
+import type { VitePWAOptions } from 'vite-plugin-pwa';
+
+const escapeRegExp = (value: string) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Options for VitePWA, used by vite.config.ts. `apiUrl` is VITE_API_URL:
+ * responses from it are cached so recently loaded data stays available offline.
+ */
+export function pwaOptions(apiUrl?: string): Partial<VitePWAOptions> {
+  return {
+    // ReloadPrompt asks before activating a new version
+    registerType: 'prompt',
+    manifest: {
+      name: '<%= projectName %>',
+      short_name: '<%= projectName %>',
+      description: '<%= projectName %>, built with SparkVite',
+      theme_color: '#646cff',
+      background_color: '#ffffff',
+      display: 'standalone',
+      // start_url and scope default to Vite's base, so the app also installs under a subpath (GitHub Pages)
+      icons: [
+        { src: 'pwa-64x64.png', sizes: '64x64', type: 'image/png' },
+        { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+        { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+        { src: 'maskable-icon-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+      ],
+    },
+    workbox: {
+      globPatterns: ['**/*.{js,css,html,svg,png,ico}'],
+      // Pages come from the network first (see runtimeCaching), not from the precached index.html
+      navigateFallback: null,
+      runtimeCaching: [
+        {
+          // Without a connection, visited pages come from the cache and any other page shows offline.html
+          urlPattern: ({ request }) => request.mode === 'navigate',
+          handler: 'NetworkFirst',
+          options: {
+            cacheName: 'pages',
+            precacheFallback: { fallbackURL: 'offline.html' },
+          },
+        },
+        ...(apiUrl
+          ? [
+              {
+                urlPattern: new RegExp(`^${escapeRegExp(apiUrl)}`),
+                handler: 'NetworkFirst' as const,
+                options: {
+                  cacheName: 'api',
+                  networkTimeoutSeconds: 5,
+                  expiration: { maxEntries: 100, maxAgeSeconds: 60 * 60 * 24 },
+                  cacheableResponse: { statuses: [0, 200] },
+                },
+              },
+            ]
+          : []),
+      ],
+    },
+  };
+}
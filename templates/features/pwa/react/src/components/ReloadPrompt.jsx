@@ -0,0 +1,39 @@
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Registers the service worker and tells the user when the app works offline or an update is ready
+export default function ReloadPrompt() {
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div role="alert" className="fixed right-4 bottom-4 z-50 rounded-lg border border-gray-200 bg-white p-4 text-gray-900 shadow-lg">
+      <p className="mb-3 text-sm">
+        {needRefresh ? 'A new version is available.' : 'The app is ready to work offline.'}
+      </p>
+      <div className="flex gap-2">
+        {needRefresh && (
+          <button
+            type="button"
+            className="rounded bg-blue-600 px-3 py-1 text-sm text-white"
+            onClick={() => updateServiceWorker(true)}
+          >
+            Reload
+          </button>
+        )}
+        <button type="button" className="rounded border border-gray-300 px-3 py-1 text-sm" onClick={close}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ReloadPrompt from './ReloadPrompt';
+
+// The real hook registers a service worker, which jsdom does not have
+const sw = vi.hoisted(() => ({ offlineReady: false, needRefresh: false, updateServiceWorker: vi.fn() }));
+vi.mock('virtual:pwa-register/react', () => ({
+  useRegisterSW: () => ({
+    offlineReady: [sw.offlineReady, vi.fn()],
+    needRefresh: [sw.needRefresh, vi.fn()],
+    updateServiceWorker: sw.updateServiceWorker,
+  }),
+}));
+
+describe('ReloadPrompt', () => {
+  beforeEach(() => {
+    sw.offlineReady = false;
+    sw.needRefresh = false;
+    sw.updateServiceWorker.mockClear();
+  });
+
+  it('renders nothing until there is something to report', () => {
+    const { container } = render(<ReloadPrompt />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('reloads with the new service worker when an update is ready', () => {
+    sw.needRefresh = true;
+    render(<ReloadPrompt />);
+    fireEvent.click(screen.getByRole('button', { name: 'Reload' }));
+    expect(sw.updateServiceWorker).toHaveBeenCalledWith(true);
+  });
+});
@@ -0,0 +1,8 @@
+import { QueryClient } from '@tanstack/react-query';
+
+// Passed to QueryClientProvider in main.tsx
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: { staleTime: 60_000 },
+  },
+});
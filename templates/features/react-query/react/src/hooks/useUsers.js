@@ -0,0 +1,6 @@
+import { useQuery } from '@tanstack/react-query';
+import { fetchUsers } from '@/utils/api';
+
+export function useUsers() {
+  return useQuery({ queryKey: ['users'], queryFn: fetchUsers });
+}
@@ -0,0 +1,24 @@
+import { configureStore } from '@reduxjs/toolkit';
+import counterReducer from './counterSlice';
+<% if useRtkQuery %>
+import { usersApi } from './usersApi';
+<% endif %>
+
+// A factory so tests can start from a fresh store; the app uses the single store below
+export const makeStore = () =>
+  configureStore({
+    reducer: {
+      counter: counterReducer,
+<% if useRtkQuery %>
+      [usersApi.reducerPath]: usersApi.reducer,
+<% endif %>
+    },
+<% if useRtkQuery %>
+    middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(usersApi.middleware),
+<% endif %>
+  });
+
+export const store = makeStore();
+
+export type RootState = ReturnType<typeof store.getState>;
+export type AppDispatch = typeof store.dispatch;
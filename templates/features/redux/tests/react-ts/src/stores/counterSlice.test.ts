@@ -0,0 +1,18 @@
+import { describe, expect, it } from 'vitest';
+import counterReducer, { decrement, increment, incrementByAmount } from './counterSlice';
+
+describe('counterSlice', () => {
+  it('has an initial value of 0', () => {
+    expect(counterReducer(undefined, { type: 'unknown' })).toEqual({ value: 0 });
+  });
+
+  it('handles increment and decrement', () => {
+    const state = counterReducer({ value: 1 }, increment());
+    expect(counterReducer(state, decrement())).toEqual({ value: 1 });
+    expect(state).toEqual({ value: 2 });
+  });
+
+  it('handles incrementByAmount', () => {
+    expect(counterReducer({ value: 1 }, incrementByAmount(5))).toEqual({ value: 6 });
+  });
+});
@@ -0,0 +1,28 @@
+import { lazy } from "react";
+import { Routes, Route } from "react-router-dom";
+import MainLayout from "@/layouts/MainLayout";
+
+// Each page is its own chunk, loaded the first time its route renders (MainLayout shows the fallback)
+const Home = lazy(() => import("@/pages/Home"));
+const About = lazy(() => import("@/pages/About"));
+<% if useApi %>
+const Users = lazy(() => import("@/pages/Users"));
+<% endif %>
+const NotFound = lazy(() => import("@/pages/NotFound"));
+
+function App() {
+  return (
+    <Routes>
+      <Route element={<MainLayout />}>
+        <Route path="/" element={<Home />} />
+        <Route path="/about" element={<About />} />
+<% if useApi %>
+        <Route path="/users" element={<Users />} />
+<% endif %>
+        <Route path="*" element={<NotFound />} />
+      </Route>
+    </Routes>
+  );
+}
+
+export default App;
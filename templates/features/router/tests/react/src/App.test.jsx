@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { renderWithProviders } from '@/test/render';
+import App from './App';
+
+// App only declares the routes; the router itself comes from main, so tests provide one
+function renderAt(path) {
+  return renderWithProviders(
+    <MemoryRouter initialEntries={[path]}>
+      <App />
+    </MemoryRouter>
+  );
+}
+
+// Pages are lazy, so each one is awaited with findBy* queries
+describe('App routes', () => {
+  it('renders the home page at /', async () => {
+    renderAt('/');
+    expect(await screen.findByRole('heading', { name: 'Welcome to <%= projectName %>' })).toBeInTheDocument();
+  });
+
+  it('navigates to the about page', async () => {
+    renderAt('/');
+    fireEvent.click(screen.getByRole('link', { name: 'About' }));
+    expect(await screen.findByText(/this is the about page/i)).toBeInTheDocument();
+  });
+
+  it('shows the not found page for unknown paths', async () => {
+    renderAt('/missing');
+    expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  });
+});
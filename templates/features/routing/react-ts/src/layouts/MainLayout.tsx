@@ -0,0 +1,42 @@
+<% if useRoutesTree %>
+import { Suspense } from "react";
+<% endif %>
+<% if useTanstackRouter %>
+import { Outlet, Link } from "@tanstack/react-router";
+<% else %>
+import { Outlet, Link } from "react-router-dom";
+<% endif %>
+<% if useTheme %>
+import ThemeToggle from "@/components/ThemeToggle";
+<% endif %>
+
+export default function MainLayout() {
+  return (
+    <div className="p-6">
+<% if useTheme %>
+      <nav className="flex items-center gap-4 mb-6">
+<% else %>
+      <nav className="flex gap-4 mb-6">
+<% endif %>
+        <Link to="/" className="text-blue-600">Home</Link>
+        <Link to="/about" className="text-blue-600">About</Link>
+<% if useApi %>
+        <Link to="/users" className="text-blue-600">Users</Link>
+<% endif %>
+<% if useTheme %>
+        <div className="ml-auto">
+          <ThemeToggle />
+        </div>
+<% endif %>
+      </nav>
+<% if useRoutesTree %>
+      {/* Shown while a page's code loads for the first time */}
+      <Suspense fallback={<p className="text-gray-500">Loading…</p>}>
+        <Outlet />
+      </Suspense>
+<% else %>
+      <Outlet />
+<% endif %>
+    </div>
+  );
+}
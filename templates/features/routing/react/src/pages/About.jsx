@@ -0,0 +1,5 @@
+export default function About() {
+  return <p className="text-lg">
+  This is the About page 
+  </p>;
+}
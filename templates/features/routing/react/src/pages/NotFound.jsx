@@ -0,0 +1,15 @@
+<% if useTanstackRouter %>
+import { Link } from "@tanstack/react-router";
+<% else %>
+import { Link } from "react-router-dom";
+<% endif %>
+
+export default function NotFound() {
+  return (
+    <div className="space-y-2">
+      <h1 className="text-2xl font-bold">Page not found</h1>
+      <p>There is nothing at this address.</p>
+      <Link to="/" className="text-blue-600">Back to the home page</Link>
+    </div>
+  );
+}
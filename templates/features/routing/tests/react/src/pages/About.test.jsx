@@ -0,0 +1,8 @@
+import { expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import About from './About';
+
+it('renders the about text', () => {
+  render(<About />);
+  expect(screen.getByText(/this is the about page/i)).toBeInTheDocument();
+});
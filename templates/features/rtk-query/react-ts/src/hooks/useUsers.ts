@@ -0,0 +1,5 @@
+import { useGetUsersQuery } from '@/stores/usersApi';
+
+export function useUsers() {
+  return useGetUsersQuery();
+}
@@ -0,0 +1,21 @@
+import { createApi, fakeBaseQuery } from '@reduxjs/toolkit/query/react';
+import { fetchUsers } from '@/utils/api';
+
+// Endpoints call the axios client in src/utils/api instead of fetchBaseQuery, so there is one HTTP setup
+export const usersApi = createApi({
+  reducerPath: 'usersApi',
+  baseQuery: fakeBaseQuery(),
+  endpoints: (builder) => ({
+    getUsers: builder.query({
+      queryFn: async () => {
+        try {
+          return { data: await fetchUsers() };
+        } catch (error) {
+          return { error };
+        }
+      },
+    }),
+  }),
+});
+
+export const { useGetUsersQuery } = usersApi;
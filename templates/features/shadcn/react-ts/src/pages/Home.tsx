@@ -0,0 +1,17 @@
+<% if useWorkspace %>
+import { Button } from "<%= uiPackage %>";
+<% else %>
+import { Button } from "@/components/ui/button";
+<% endif %>
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <div className="flex gap-2">
+        <Button>ShadCN button</Button>
+        <Button variant="outline">Outline</Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+<% if !useWorkspace %>
+import { clsx } from "clsx";
+import { twMerge } from "tailwind-merge";
+
+export function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
+<% endif %>
@@ -0,0 +1,6 @@
+import useSWR from 'swr';
+import { fetchUsers } from '@/utils/api';
+
+export function useUsers() {
+  return useSWR('/users', fetchUsers);
+}
@@ -0,0 +1,19 @@
+import { createRouter, RouterProvider } from "@tanstack/react-router";
+import { routeTree } from "./routeTree.gen";
+
+// BASE_URL is Vite's `base`, so routes still match when the app is served from a subpath
+const router = createRouter({ routeTree, basepath: import.meta.env.BASE_URL });
+
+// Lets TypeScript check <Link to> and route hooks against the generated routes
+declare module "@tanstack/react-router" {
+  interface Register {
+    router: typeof router;
+  }
+}
+
+// Rendered inside the providers in main, so every page can use them
+function App() {
+  return <RouterProvider router={router} />;
+}
+
+export default App;
@@ -0,0 +1,12 @@
+import { createRouter, RouterProvider } from "@tanstack/react-router";
+import { routeTree } from "./routeTree.gen";
+
+// BASE_URL is Vite's `base`, so routes still match when the app is served from a subpath
+const router = createRouter({ routeTree, basepath: import.meta.env.BASE_URL });
+
+// Rendered inside the providers in main, so every page can use them
+function App() {
+  return <RouterProvider router={router} />;
+}
+
+export default App;
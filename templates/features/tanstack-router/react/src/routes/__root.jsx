@@ -0,0 +1,9 @@
+import { createRootRoute } from "@tanstack/react-router";
+import MainLayout from "@/layouts/MainLayout";
+import NotFound from "@/pages/NotFound";
+
+// Wraps every route; each file in this folder becomes a route of the generated src/routeTree.gen
+export const Route = createRootRoute({
+  component: MainLayout,
+  notFoundComponent: NotFound,
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, screen } from '@testing-library/react';
+import { createMemoryHistory, createRouter, RouterProvider } from '@tanstack/react-router';
+import { renderWithProviders } from '@/test/render';
+import { routeTree } from '@/routeTree.gen';
+
+// App renders the route tree with the browser's history; in-memory history lets tests choose the starting URL
+function renderAt(path: string) {
+  const router = createRouter({ routeTree, history: createMemoryHistory({ initialEntries: [path] }) });
+  return renderWithProviders(<RouterProvider router={router} />);
+}
+
+// Routes are code-split, so each page is awaited with findBy* queries
+describe('App routes', () => {
+  it('renders the home page at /', async () => {
+    renderAt('/');
+    expect(await screen.findByRole('heading', { name: 'Welcome to <%= projectName %>' })).toBeInTheDocument();
+  });
+
+  it('navigates to the about page', async () => {
+    renderAt('/');
+    fireEvent.click(await screen.findByRole('link', { name: 'About' }));
+    expect(await screen.findByText(/this is the about page/i)).toBeInTheDocument();
+  });
+
+  it('shows the not found page for unknown paths', async () => {
+    renderAt('/missing');
+    expect(await screen.findByRole('heading', { name: 'Page not found' })).toBeInTheDocument();
+  });
+});
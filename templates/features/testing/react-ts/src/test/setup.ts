@@ -0,0 +1,31 @@
+// Runs before every test file: adds the jest-dom matchers (toBeInTheDocument, ...) to expect
+import '@testing-library/jest-dom/vitest';
+<% if useApi %>
+import { afterAll, afterEach, beforeAll } from 'vitest';
+import { server } from '@/mocks/server';
+
+// API requests are answered by the MSW handlers in src/mocks; unmocked requests fail the test
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+afterEach(() => server.resetHandlers());
+afterAll(() => server.close());
+<% endif %>
+
+// jsdom has no matchMedia; UI libraries read it for color schemes and breakpoints
+Object.defineProperty(window, 'matchMedia', {
+  writable: true,
+  value: (query: string) => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: () => {},
+    removeListener: () => {},
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => false,
+  }),
+});
+<% if useTanstackRouter %>
+
+// jsdom has no scrollTo either; TanStack Router calls it to restore the scroll position after navigating
+window.scrollTo = () => {};
+<% endif %>
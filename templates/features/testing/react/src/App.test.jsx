@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, screen } from '@testing-library/react';
+import { renderWithProviders } from '@/test/render';
+import App from './App';
+
+describe('App', () => {
+  it('renders the heading', () => {
+    renderWithProviders(<App />);
+    expect(screen.getByRole('heading', { name: /vite \+ react/i })).toBeInTheDocument();
+  });
+
+  it('increments the counter', () => {
+    renderWithProviders(<App />);
+    fireEvent.click(screen.getByRole('button', { name: /count is 0/i }));
+    expect(screen.getByRole('button', { name: /count is 1/i })).toBeInTheDocument();
+  });
+<% if useTheme %>
+
+  it('switches between light and dark mode', () => {
+    renderWithProviders(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'Switch to dark mode' }));
+    expect(document.documentElement).toHaveClass('dark');
+    expect(screen.getByRole('button', { name: 'Switch to light mode' })).toBeInTheDocument();
+  });
+<% endif %>
+});
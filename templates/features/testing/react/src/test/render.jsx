@@ -0,0 +1,75 @@
+import { render } from '@testing-library/react';
+<% if useContext %>
+import { AppProvider } from '@/context/AppProvider';
+<% endif %>
+<% if useRedux %>
+import { Provider } from 'react-redux';
+import { makeStore } from '@/stores/store';
+<% endif %>
+<% if useReactQuery %>
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+<% endif %>
+<% if useSwr %>
+import { SWRConfig } from 'swr';
+<% endif %>
+<% if useMantine %>
+import { MantineProvider } from '@mantine/core';
+import { theme } from '@/theme';
+<% endif %>
+<% if useMui %>
+import { ThemeProvider } from '@mui/material/styles';
+import { theme } from '@/theme';
+<% endif %>
+<% if useChakra %>
+import { ChakraProvider } from '@chakra-ui/react';
+import { system } from '@/theme';
+<% endif %>
+<% if useHeroui %>
+import { HeroUIProvider } from '@heroui/react';
+<% endif %>
+<% if useTheme %>
+import { ThemeProvider } from '@/context/ThemeProvider';
+<% endif %>
+
+// Testing Library's render, wrapped in the providers main.jsx puts around App (innermost first)
+export function renderWithProviders(ui, options) {
+<% if useRedux %>
+  const store = makeStore();
+<% endif %>
+<% if useReactQuery %>
+  // A fresh cache for every render, without retries so failing requests fail fast
+  const queryClient = new QueryClient({ defaultOptions: { queries: { retry: false } } });
+<% endif %>
+  // Each entry wraps the ones above it
+  const providers = [
+<% if useContext %>
+    (tree) => <AppProvider>{tree}</AppProvider>,
+<% endif %>
+<% if useRedux %>
+    (tree) => <Provider store={store}>{tree}</Provider>,
+<% endif %>
+<% if useReactQuery %>
+    (tree) => <QueryClientProvider client={queryClient}>{tree}</QueryClientProvider>,
+<% endif %>
+<% if useSwr %>
+    (tree) => <SWRConfig value={{ provider: () => new Map(), dedupingInterval: 0 }}>{tree}</SWRConfig>,
+<% endif %>
+<% if useMantine %>
+    (tree) => <MantineProvider theme={theme}>{tree}</MantineProvider>,
+<% endif %>
+<% if useMui %>
+    (tree) => <ThemeProvider theme={theme}>{tree}</ThemeProvider>,
+<% endif %>
+<% if useChakra %>
+    (tree) => <ChakraProvider value={system}>{tree}</ChakraProvider>,
+<% endif %>
+<% if useHeroui %>
+    (tree) => <HeroUIProvider>{tree}</HeroUIProvider>,
+<% endif %>
+<% if useTheme %>
+    (tree) => <ThemeProvider>{tree}</ThemeProvider>,
+<% endif %>
+  ];
+  const wrapper = ({ children }) => providers.reduce((tree, wrap) => wrap(tree), children);
+  return render(ui, { wrapper, ...options });
+}
@@ -0,0 +1,12 @@
+import { createContext } from 'react';
+
+export type Theme = 'light' | 'dark';
+
+export type ThemeContextValue = {
+  theme: Theme;
+  setTheme: (theme: Theme) => void;
+  toggleTheme: () => void;
+};
+
+// Null outside <ThemeProvider>, which useTheme reports
+export const ThemeContext = createContext<ThemeContextValue | null>(null);
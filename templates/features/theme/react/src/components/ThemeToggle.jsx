@@ -0,0 +1,19 @@
+import { useTheme } from '@/hooks/useTheme';
+
+// Switches between light and dark mode; the choice is remembered across visits
+export default function ThemeToggle() {
+  const { theme, toggleTheme } = useTheme();
+  const next = theme === 'dark' ? 'light' : 'dark';
+
+  return (
+    <button
+      type="button"
+      onClick={toggleTheme}
+      aria-label={`Switch to ${next} mode`}
+      title={`Switch to ${next} mode`}
+      className="rounded-md border border-border px-2 py-1 text-sm hover:bg-accent hover:text-accent-foreground"
+    >
+      {theme === 'dark' ? '☀️' : '🌙'}
+    </button>
+  );
+}
@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Null outside <ThemeProvider>, which useTheme reports
+export const ThemeContext = createContext(null);
@@ -0,0 +1,45 @@
+import { useEffect, useState } from 'react';
+import { ThemeContext } from './ThemeContext';
+
+// Also read by the script in index.html that applies the saved theme before React renders
+const STORAGE_KEY = 'theme';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+function savedTheme() {
+  const theme = localStorage.getItem(STORAGE_KEY);
+  return theme === 'light' || theme === 'dark' ? theme : null;
+}
+
+const systemTheme = () => (window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light');
+
+// Follows the operating system's color scheme until the user picks a theme, which is then saved
+export function ThemeProvider({ children }) {
+  const [saved, setSaved] = useState(savedTheme);
+  const [system, setSystem] = useState(systemTheme);
+  const theme = saved ?? system;
+
+  useEffect(() => {
+    const media = window.matchMedia(DARK_QUERY);
+    const onChange = () => setSystem(media.matches ? 'dark' : 'light');
+    media.addEventListener('change', onChange);
+    return () => media.removeEventListener('change', onChange);
+  }, []);
+
+  // The dark: variant in index.css matches everything inside the dark class
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', theme === 'dark');
+    document.documentElement.style.colorScheme = theme;
+  }, [theme]);
+
+  const setTheme = (next) => {
+    localStorage.setItem(STORAGE_KEY, next);
+    setSaved(next);
+  };
+  const toggleTheme = () => setTheme(theme === 'dark' ? 'light' : 'dark');
+
+  return (
+    <ThemeContext.Provider value={{ theme, setTheme, toggleTheme }}>
+      {children}
+    </ThemeContext.Provider>
+  );
+}
@@ -0,0 +1,51 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook } from '@testing-library/react';
+import { ThemeProvider } from './ThemeProvider';
+import { useTheme } from '@/hooks/useTheme';
+
+// Stands in for the operating system's color scheme (src/test/setup stubs a light one)
+function prefersDark() {
+  vi.spyOn(window, 'matchMedia').mockImplementation((query: string) => ({
+    matches: query === '(prefers-color-scheme: dark)',
+    media: query,
+    onchange: null,
+    addListener: () => {},
+    removeListener: () => {},
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => false,
+  }));
+}
+
+describe('ThemeProvider', () => {
+  afterEach(() => {
+    localStorage.clear();
+    document.documentElement.classList.remove('dark');
+    vi.restoreAllMocks();
+  });
+
+  it('follows the system color scheme until a theme is picked', () => {
+    prefersDark();
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(result.current.theme).toBe('dark');
+    expect(document.documentElement).toHaveClass('dark');
+  });
+
+  it('saves the theme picked with the toggle', () => {
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(result.current.theme).toBe('light');
+
+    act(() => result.current.toggleTheme());
+    expect(result.current.theme).toBe('dark');
+    expect(document.documentElement).toHaveClass('dark');
+    expect(localStorage.getItem('theme')).toBe('dark');
+  });
+
+  it('prefers the saved theme over the system one', () => {
+    prefersDark();
+    localStorage.setItem('theme', 'light');
+    const { result } = renderHook(() => useTheme(), { wrapper: ThemeProvider });
+    expect(result.current.theme).toBe('light');
+    expect(document.documentElement).not.toHaveClass('dark');
+  });
+});
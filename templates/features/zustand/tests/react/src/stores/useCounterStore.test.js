@@ -0,0 +1,18 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { useCounterStore } from './useCounterStore';
+
+describe('useCounterStore', () => {
+  // Stores are module singletons, so reset the state between tests
+  beforeEach(() => {
+    useCounterStore.setState({ count: 0 });
+  });
+
+  it('starts at 0', () => {
+    expect(useCounterStore.getState().count).toBe(0);
+  });
+
+  it('increments the count', () => {
+    useCounterStore.getState().increment();
+    expect(useCounterStore.getState().count).toBe(1);
+  });
+});
@@ -0,0 +1,21 @@
+import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+import tailwindcss from '@tailwindcss/vite';
+import { fileURLToPath, URL } from 'node:url';
+
+// https://vite.dev/config/
+export default defineConfig({
+  plugins: [
+    react(),
+    tailwindcss(),
+  ],
+  resolve: {
+    alias: {
+      '@': fileURLToPath(new URL('./src', import.meta.url)),
+<% if useWorkspace %>
+      // The shared UI package, used from source
+      '<%= uiPackage %>': fileURLToPath(new URL('../../packages/ui/src', import.meta.url)),
+<% endif %>
+    },
+  },
+});
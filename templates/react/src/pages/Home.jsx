@@ -0,0 +1,18 @@
+<% if useWorkspace %>
+import { Button } from "<%= uiPackage %>";
+
+export default function Home() {
+  return (
+    <div className="space-y-4">
+      <h1 className="text-3xl font-bold">Welcome to <%= projectName %></h1>
+      <Button>Shared button</Button>
+    </div>
+  );
+}
+<% else %>
+export default function Home() {
+  return <h1 className="text-3xl font-bold">
+  Welcome to <%= projectName %>
+  </h1>;
+}
+<% endif %>
@@ -0,0 +1,14 @@
+<% if useShadcn %>
+import config from '<%= eslintConfigPackage %>'
+
+// ShadCN UI components export helpers such as buttonVariants next to the component, the way `npx shadcn add` writes them
+export default [
+  ...config,
+  {
+    files: ['src/components/**'],
+    rules: { 'react-refresh/only-export-components': 'off' },
+  },
+]
+<% else %>
+export { default } from '<%= eslintConfigPackage %>'
+<% endif %>
@@ -0,0 +1,6 @@
+<% if useShadcn %>
+export { Button, buttonVariants } from "./components/button";
+export { cn } from "./lib/utils";
+<% else %>
+export { Button } from "./components/button";
+<% endif %>
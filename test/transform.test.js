@@ -0,0 +1,267 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ConflictError } from "../lib/errors.js";
+import {
+    addConfigModeParam,
+    addConfigProperty,
+    addFlatConfigEntry,
+    addImport,
+    addRootElement,
+    addStatementBeforeRender,
+    addTypeReference,
+    addVitePlugin,
+    wrapRoot
+} from "../lib/transform.js";
+
+const PWA = { call: "VitePWA()", from: "vite-plugin-pwa", named: ["VitePWA"] };
+
+// Applying a change a second time must leave the file as the first time did
+function assertIdempotent(transform, code) {
+    const once = transform(code);
+    assert.equal(transform(once), once);
+    return once;
+}
+
+describe("addImport", () => {
+    it("adds an import after the last one, in the file's quote and semicolon style", () => {
+        const code = "import a from 'a'\n\nconsole.log(a)\n";
+        assert.equal(addImport(code, { from: "b", named: ["b"] }), "import a from 'a'\nimport { b } from 'b'\n\nconsole.log(a)\n");
+    });
+
+    it("merges named imports into an existing import of the module", () => {
+        const code = 'import { defineConfig } from "vite";\n';
+        assert.equal(addImport(code, { from: "vite", named: ["loadEnv"] }), 'import { defineConfig, loadEnv } from "vite";\n');
+    });
+
+    it("adds named imports next to a default import", () => {
+        const code = 'import React from "react";\n';
+        assert.equal(addImport(code, { from: "react", named: ["useState"] }), 'import React, { useState } from "react";\n');
+    });
+
+    it("adds a side-effect import once", () => {
+        const code = 'import React from "react";\n';
+        const result = assertIdempotent(source => addImport(source, { from: "@fontsource-variable/inter" }), code);
+        assert.equal(result, 'import React from "react";\nimport "@fontsource-variable/inter";\n');
+    });
+
+    it("is a no-op when the names are already imported", () => {
+        const code = 'import { a, b } from "m";\n';
+        assert.equal(addImport(code, { from: "m", named: ["b"] }), code);
+    });
+
+    it("refuses a module imported under another default name", () => {
+        const code = 'import Other from "m";\n';
+        assert.throws(() => addImport(code, { from: "m", defaultImport: "Thing" }), ConflictError);
+    });
+
+    it("refuses to merge into a namespace import", () => {
+        const code = 'import * as m from "m";\n';
+        assert.throws(() => addImport(code, { from: "m", named: ["x"] }), ConflictError);
+    });
+});
+
+describe("addVitePlugin", () => {
+    it("appends to the plugins of defineConfig({...})", () => {
+        const code = [
+            'import { defineConfig } from "vite";',
+            'import react from "@vitejs/plugin-react";',
+            "",
+            "export default defineConfig({",
+            "  plugins: [react()],",
+            "});",
+            ""
+        ].join("\n");
+        assert.equal(addVitePlugin(code, PWA), [
+            'import { defineConfig } from "vite";',
+            'import react from "@vitejs/plugin-react";',
+            'import { VitePWA } from "vite-plugin-pwa";',
+            "",
+            "export default defineConfig({",
+            "  plugins: [react(), VitePWA()],",
+            "});",
+            ""
+        ].join("\n"));
+    });
+
+    it("follows a multiline plugins array and its trailing comma", () => {
+        const code = [
+            "export default defineConfig({",
+            "  plugins: [",
+            "    react(),",
+            "  ],",
+            "});",
+            ""
+        ].join("\n");
+        const result = addVitePlugin(code, PWA);
+        assert.match(result, /plugins: \[\n {4}react\(\),\n {4}VitePWA\(\),\n {2}\],/);
+    });
+
+    it("patches a config function returning an object", () => {
+        const code = "export default defineConfig(({ mode }) => ({\n  plugins: [react()],\n}));\n";
+        assert.match(addVitePlugin(code, PWA), /plugins: \[react\(\), VitePWA\(\)\]/);
+    });
+
+    it("patches a config function with a block body", () => {
+        const code = "export default defineConfig(() => {\n  return {\n    plugins: [react()],\n  };\n});\n";
+        assert.match(addVitePlugin(code, PWA), /plugins: \[react\(\), VitePWA\(\)\]/);
+    });
+
+    it("patches a config exported through a variable", () => {
+        const code = "const config = defineConfig({\n  plugins: [react()],\n});\n\nexport default config;\n";
+        assert.match(addVitePlugin(code, PWA), /plugins: \[react\(\), VitePWA\(\)\]/);
+    });
+
+    it("patches a plain object export", () => {
+        const code = "export default {\n  plugins: [react()],\n};\n";
+        assert.match(addVitePlugin(code, PWA), /plugins: \[react\(\), VitePWA\(\)\]/);
+    });
+
+    it("creates the plugins array when there is none", () => {
+        const code = "export default defineConfig({\n  base: './',\n});\n";
+        assert.match(addVitePlugin(code, PWA), /base: '\.\/',\n {2}plugins: \[VitePWA\(\)\],\n\}\);/);
+    });
+
+    it("inserts before the plugin named by `before`", () => {
+        const code = "export default defineConfig({\n  plugins: [react()],\n});\n";
+        const result = addVitePlugin(code, { call: "tanstackRouter()", from: "@tanstack/router-plugin/vite", named: ["tanstackRouter"], before: "react" });
+        assert.match(result, /plugins: \[tanstackRouter\(\), react\(\)\]/);
+    });
+
+    it("is a no-op the second time", () => {
+        const code = "export default defineConfig({\n  plugins: [react()],\n});\n";
+        assertIdempotent(source => addVitePlugin(source, PWA), code);
+    });
+
+    it("refuses plugins that are not an array literal", () => {
+        const code = "export default defineConfig({\n  plugins: getPlugins(),\n});\n";
+        assert.throws(() => addVitePlugin(code, PWA), ConflictError);
+    });
+
+    it("refuses a file without an exported config", () => {
+        assert.throws(() => addVitePlugin("export const config = {};\n", PWA), ConflictError);
+    });
+});
+
+describe("addConfigProperty", () => {
+    it("adds a missing key and leaves an existing one alone", () => {
+        const code = "export default defineConfig({\n  plugins: [react()],\n});\n";
+        const result = assertIdempotent(source => addConfigProperty(source, "base", "'./'"), code);
+        assert.equal(result, "export default defineConfig({\n  plugins: [react()],\n  base: './',\n});\n");
+        assert.equal(addConfigProperty(result, "base", "'/app/'"), result);
+    });
+});
+
+describe("addConfigModeParam", () => {
+    it("turns defineConfig({...}) into a function of { mode }", () => {
+        const code = "export default defineConfig({\n  plugins: [react()],\n});\n";
+        const result = assertIdempotent(addConfigModeParam, code);
+        assert.equal(result, "export default defineConfig(({ mode }) => ({\n  plugins: [react()],\n}));\n");
+    });
+
+    it("adds mode to a function without parameters", () => {
+        assert.equal(addConfigModeParam("export default defineConfig(() => ({}));\n"), "export default defineConfig(({ mode }) => ({}));\n");
+    });
+
+    it("adds mode to a destructured parameter, before a rest element", () => {
+        assert.equal(addConfigModeParam("export default defineConfig(({ command }) => ({}));\n"), "export default defineConfig(({ command, mode }) => ({}));\n");
+        assert.equal(addConfigModeParam("export default defineConfig(({ ...env }) => ({}));\n"), "export default defineConfig(({ mode, ...env }) => ({}));\n");
+    });
+
+    it("refuses a function that does not destructure its argument", () => {
+        assert.throws(() => addConfigModeParam("export default defineConfig((env) => ({}));\n"), ConflictError);
+    });
+});
+
+describe("addTypeReference", () => {
+    it("adds the reference once", () => {
+        const result = assertIdempotent(source => addTypeReference(source, "vite-plugin-pwa/react"), '/// <reference types="vite/client" />\n');
+        assert.equal(result, '/// <reference types="vite-plugin-pwa/react" />\n/// <reference types="vite/client" />\n');
+    });
+});
+
+const STRICT_MAIN = [
+    'import React from "react";',
+    'import ReactDOM from "react-dom/client";',
+    'import App from "./App";',
+    "",
+    'ReactDOM.createRoot(document.getElementById("root")!).render(',
+    "  <React.StrictMode>",
+    "    <App />",
+    "  </React.StrictMode>",
+    ");",
+    ""
+].join("\n");
+
+const BARE_MAIN = [
+    'import { createRoot } from "react-dom/client";',
+    'import App from "./App";',
+    "",
+    'createRoot(document.getElementById("root")).render(<App />);',
+    ""
+].join("\n");
+
+describe("wrapRoot", () => {
+    it("wraps the children of <StrictMode>", () => {
+        const result = assertIdempotent(source => wrapRoot(source, { component: "Provider", props: "store={store}" }), STRICT_MAIN);
+        assert.match(result, /<React\.StrictMode>\n {4}<Provider store=\{store\}>\n {6}<App \/>\n {4}<\/Provider>\n {2}<\/React\.StrictMode>/);
+    });
+
+    it("wraps a bare root element", () => {
+        const result = assertIdempotent(source => wrapRoot(source, { component: "Provider" }), BARE_MAIN);
+        assert.match(result, /render\(<Provider>\n {2}<App \/>\n<\/Provider>\);/);
+    });
+
+    it("puts providers added later outermost", () => {
+        const result = wrapRoot(wrapRoot(STRICT_MAIN, { component: "Inner" }), { component: "Outer" });
+        assert.ok(result.indexOf("<Outer>") < result.indexOf("<Inner>"));
+        assert.ok(result.indexOf("</Inner>") < result.indexOf("</Outer>"));
+    });
+
+    it("refuses a file without a root render() call", () => {
+        assert.throws(() => wrapRoot('export default "nothing";\n', { component: "Provider" }), ConflictError);
+    });
+});
+
+describe("addRootElement", () => {
+    it("adds the element as the last child of <StrictMode>", () => {
+        const result = assertIdempotent(source => addRootElement(source, "<ReloadPrompt />"), STRICT_MAIN);
+        assert.match(result, /<App \/>\n {4}<ReloadPrompt \/>\n {2}<\/React\.StrictMode>/);
+    });
+
+    it("puts a bare root element and the new one in a fragment", () => {
+        const result = assertIdempotent(source => addRootElement(source, "<ReloadPrompt />"), BARE_MAIN);
+        assert.match(result, /render\(<>\n {2}<App \/>\n {2}<ReloadPrompt \/>\n<\/>\);/);
+    });
+});
+
+describe("addStatementBeforeRender", () => {
+    it("adds the statement once, before the render call", () => {
+        const result = assertIdempotent(source => addStatementBeforeRender(source, "await enableMocking()"), STRICT_MAIN);
+        assert.match(result, /await enableMocking\(\);\n\nReactDOM\.createRoot/);
+    });
+});
+
+describe("addFlatConfigEntry", () => {
+    it("appends to export default [...]", () => {
+        assert.equal(addFlatConfigEntry("export default [js.configs.recommended];\n", "prettier"), "export default [js.configs.recommended, prettier];\n");
+    });
+
+    it("appends to defineConfig([...]) and tseslint.config(...)", () => {
+        assert.equal(addFlatConfigEntry("export default defineConfig([a]);\n", "prettier"), "export default defineConfig([a, prettier]);\n");
+        assert.equal(addFlatConfigEntry("export default tseslint.config(a, b);\n", "prettier"), "export default tseslint.config(a, b, prettier);\n");
+    });
+
+    it("inserts before the entry named by `before`, and the comment above it", () => {
+        assert.equal(addFlatConfigEntry("export default [js, prettier];\n", "react", { before: "prettier" }), "export default [js, react, prettier];\n");
+        const code = "export default defineConfig([\n  js,\n  // Must stay last\n  prettier,\n]);\n";
+        assert.equal(addFlatConfigEntry(code, "react", { before: "prettier" }), "export default defineConfig([\n  js,\n  react,\n  // Must stay last\n  prettier,\n]);\n");
+    });
+
+    it("appends when there is no entry named by `before`", () => {
+        assert.equal(addFlatConfigEntry("export default [js];\n", "react", { before: "prettier" }), "export default [js, react];\n");
+    });
+
+    it("refuses a config it cannot find", () => {
+        assert.throws(() => addFlatConfigEntry("export default makeConfig;\n", "prettier"), ConflictError);
+    });
+});